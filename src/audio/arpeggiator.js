@@ -0,0 +1,66 @@
+/**
+ * @file Instrument arpeggiator for Thunderbird Chiptune Composer.
+ * An instrument can carry an arpeggiator that cycles every note it plays through a chord,
+ * stepping every few ticks, so fake chords need no 0xy command on every row.
+ */
+
+/** Chord shapes offered by the Instrument Editor, as semitone offsets from the played note. */
+export const CHORD_SHAPES = Object.freeze({
+    major: [0, 4, 7],
+    minor: [0, 3, 7],
+    major7: [0, 4, 7, 11],
+    minor7: [0, 3, 7, 10],
+    dominant7: [0, 4, 7, 10],
+    sus4: [0, 5, 7],
+    diminished: [0, 3, 6],
+    power: [0, 7],
+    octave: [0, 12],
+});
+
+/** Orders in which the chord's notes are played. */
+export const ARPEGGIO_MODES = Object.freeze(['up', 'down', 'pingpong']);
+
+/**
+ * Returns the semitone offsets an arpeggiator cycles through, in playing order.
+ * @param {object} arpeggiator - The instrument's arpeggiator settings.
+ * @param {string} arpeggiator.chord - A key of CHORD_SHAPES, or 'custom'.
+ * @param {Array<number>} [arpeggiator.semitones] - The offsets used when chord is 'custom'.
+ * @param {string} [arpeggiator.mode='up'] - One of ARPEGGIO_MODES.
+ * @returns {Array<number>} The offsets, at least one entry long.
+ */
+export function buildArpeggioSequence({ chord, semitones, mode = 'up' }) {
+    const shape = chord === 'custom' ? semitones : CHORD_SHAPES[chord];
+    const notes = Array.isArray(shape) && shape.length > 0 ? shape.slice() : [0];
+
+    if (mode === 'down') return notes.reverse();
+    if (mode === 'pingpong' && notes.length > 2) {
+        // Up then back down, without repeating the top and bottom notes: 0 4 7 4
+        return notes.concat(notes.slice(1, -1).reverse());
+    }
+    return notes;
+}
+
+/**
+ * Parses a custom chord typed as semitone offsets, e.g. "0 4 7" or "0,3,7,12".
+ * @param {string} text - The offsets, separated by spaces or commas.
+ * @returns {Array<number>|null} The offsets (-24 to 24), or null if the text is not a valid list.
+ */
+export function parseSemitoneList(text) {
+    const parts = String(text || '').split(/[\s,]+/).filter(part => part !== '');
+    if (parts.length === 0) return null;
+    const semitones = parts.map(part => parseInt(part, 10));
+    if (semitones.some(value => isNaN(value) || value < -24 || value > 24)) return null;
+    return semitones;
+}
+
+/**
+ * Returns the semitone offset to play on a given tick of a note.
+ * @param {Array<number>} sequence - Offsets from buildArpeggioSequence().
+ * @param {number} tick - Ticks since the note started.
+ * @param {number} rate - Ticks per arpeggio step.
+ * @returns {number} The semitone offset.
+ */
+export function arpeggioOffsetAt(sequence, tick, rate) {
+    const step = Math.floor(tick / Math.max(1, rate));
+    return sequence[step % sequence.length];
+}
@@ -0,0 +1,266 @@
+/**
+ * @file Target chip profiles for Thunderbird Chiptune Composer.
+ * A project can target the sound chip of a classic console or computer. The chip decides how many tracks
+ * the song has and what each track can play, like the chip's channels, and the steps the engine rounds
+ * volumes and pitches to, as the chip's registers would. Effect commands are run by the tracker's driver,
+ * not the chip, so every track has them all except 9xx, which needs a channel with a pulse wave.
+ */
+
+import { MAX_AUDIO_CHANNELS } from '../constants.js';
+import { EFFECT } from './effect-commands.js';
+import { NOISE_CLOCK_RATIO } from './generators.js';
+import Instrument from './instruments.js';
+
+const NES_CPU_CLOCK = 1789773; // NTSC 2A03, Hz
+const GAME_BOY_CLOCK = 4194304;
+const SN76489_CLOCK = 3579545; // As in the Sega Master System
+const SID_CLOCK = 985248;      // PAL Commodore 64
+
+// Periods of the 2A03 noise channel, in CPU cycles per LFSR step
+const NES_NOISE_PERIODS = [4, 8, 16, 32, 64, 96, 128, 160, 202, 254, 380, 508, 762, 1016, 2034, 4068];
+
+// What a track plays when its instrument's sound is not available on the track's channel, before
+// falling back to the channel's first sound
+const SOUND_SUBSTITUTES = Object.freeze({ square: 'pulse', pulse: 'square', sine: 'triangle' });
+
+/**
+ * Builds evenly spaced gain levels, as produced by a linear volume register.
+ * @param {number} count - Number of levels, including silence.
+ * @returns {Array<number>} Gains from 0 to 1.
+ */
+function linearLevels(count) {
+    return Array.from({ length: count }, (_, i) => i / (count - 1));
+}
+
+/**
+ * Builds the gain levels of an attenuation register, which lowers the volume by a fixed number of decibels per step.
+ * @param {number} steps - Number of audible levels.
+ * @param {number} decibelsPerStep - Attenuation per step.
+ * @returns {Array<number>} Silence followed by the audible gains, quietest first.
+ */
+function attenuationLevels(steps, decibelsPerStep) {
+    const levels = [0];
+    for (let step = steps - 1; step >= 0; step--) {
+        levels.push(Math.pow(10, -step * decibelsPerStep / 20));
+    }
+    return levels;
+}
+
+/**
+ * Returns a pitch quantizer for a channel tuned by a period register (frequency = rate / period).
+ * @param {number} rate - The channel's frequency at a period of 1, in Hz.
+ * @param {number} minPeriod - Shortest period the register can hold.
+ * @param {number} maxPeriod - Longest period the register can hold.
+ * @returns {function(number): number} Maps a frequency to the nearest one the channel can play.
+ */
+function periodQuantizer(rate, minPeriod, maxPeriod) {
+    return (frequency) => {
+        const period = Math.max(minPeriod, Math.min(maxPeriod, Math.round(rate / frequency)));
+        return rate / period;
+    };
+}
+
+/**
+ * Returns a pitch quantizer for a channel tuned by a frequency register (frequency = value * step).
+ * @param {number} step - Frequency of one register unit, in Hz.
+ * @param {number} maxValue - Highest value the register can hold.
+ * @returns {function(number): number} Maps a frequency to the nearest one the channel can play.
+ */
+function frequencyRegisterQuantizer(step, maxValue) {
+    return (frequency) => Math.max(1, Math.min(maxValue, Math.round(frequency / step))) * step;
+}
+
+/**
+ * Returns a pitch quantizer for a channel that only has a fixed set of rates, such as a noise channel.
+ * @param {Array<number>} frequencies - The available note frequencies, in Hz.
+ * @returns {function(number): number} Maps a frequency to the available one nearest in pitch.
+ */
+function tableQuantizer(frequencies) {
+    return (frequency) => frequencies.reduce((best, candidate) =>
+        Math.abs(Math.log(candidate / frequency)) < Math.abs(Math.log(best / frequency)) ? candidate : best
+    );
+}
+
+/**
+ * Converts noise clock rates to the note frequencies that produce them (see NOISE_CLOCK_RATIO).
+ * @param {Array<number>} clockRates - LFSR steps per second.
+ * @returns {Array<number>} Note frequencies in Hz.
+ */
+function noiseNoteFrequencies(clockRates) {
+    return clockRates.map(rate => rate / NOISE_CLOCK_RATIO);
+}
+
+const LINEAR_16 = linearLevels(16);
+
+const NES_PULSE = {
+    sounds: ['pulse'],
+    volumeLevels: LINEAR_16,
+    quantizePitch: periodQuantizer(NES_CPU_CLOCK / 16, 9, 2048), // Periods below 9 mute the channel
+};
+const GAME_BOY_PULSE = {
+    sounds: ['pulse'],
+    volumeLevels: LINEAR_16,
+    quantizePitch: periodQuantizer(GAME_BOY_CLOCK / 32, 1, 2048),
+};
+const SN76489_TONE = {
+    sounds: ['square'],
+    volumeLevels: attenuationLevels(15, 2),
+    quantizePitch: periodQuantizer(SN76489_CLOCK / 32, 1, 1023),
+};
+const SID_VOICE = {
+    sounds: ['pulse', 'triangle', 'sawtooth', 'noise'],
+    volumeLevels: linearLevels(256), // 8-bit envelope counter
+    quantizePitch: frequencyRegisterQuantizer(SID_CLOCK / 16777216, 65535),
+};
+
+/**
+ * The chips a project can target. Each channel lists the sounds it can play: synth waveform names,
+ * 'wavetable' or 'sample'. Unrestricted projects have no channel list and play anything on every track.
+ */
+export const CHIP_PROFILES = Object.freeze({
+    unrestricted: {
+        label: 'Unrestricted',
+        channels: null,
+    },
+    nes: {
+        label: 'NES (2A03)',
+        channels: [
+            { name: 'Pulse 1', ...NES_PULSE },
+            { name: 'Pulse 2', ...NES_PULSE },
+            {
+                name: 'Triangle',
+                sounds: ['triangle'],
+                volumeLevels: [0, 1], // No volume control: the triangle is either on or off
+                quantizePitch: periodQuantizer(NES_CPU_CLOCK / 32, 1, 2048),
+            },
+            {
+                name: 'Noise',
+                sounds: ['noise'],
+                volumeLevels: LINEAR_16,
+                quantizePitch: tableQuantizer(noiseNoteFrequencies(NES_NOISE_PERIODS.map(period => NES_CPU_CLOCK / period))),
+            },
+            { name: 'DPCM', sounds: ['sample'], volumeLevels: [0, 1], quantizePitch: null },
+        ],
+    },
+    gameboy: {
+        label: 'Game Boy (DMG)',
+        channels: [
+            { name: 'Pulse 1', ...GAME_BOY_PULSE },
+            { name: 'Pulse 2', ...GAME_BOY_PULSE },
+            {
+                name: 'Wave',
+                sounds: ['wavetable'],
+                volumeLevels: [0, 0.25, 0.5, 1], // 2-bit output level shift
+                quantizePitch: periodQuantizer(GAME_BOY_CLOCK / 64, 1, 2048),
+            },
+            {
+                name: 'Noise',
+                sounds: ['noise'],
+                volumeLevels: LINEAR_16,
+                // Clock = 524288 Hz / r / 2^(s+1), with r = 0 meaning 0.5
+                quantizePitch: tableQuantizer(noiseNoteFrequencies(
+                    Array.from({ length: 14 * 8 }, (_, i) => 524288 / ((i % 8) || 0.5) / Math.pow(2, Math.floor(i / 8) + 1))
+                )),
+            },
+        ],
+    },
+    sn76489: {
+        label: 'SN76489 (Master System)',
+        channels: [
+            { name: 'Tone 1', ...SN76489_TONE },
+            { name: 'Tone 2', ...SN76489_TONE },
+            { name: 'Tone 3', ...SN76489_TONE },
+            {
+                name: 'Noise',
+                sounds: ['noise'],
+                volumeLevels: SN76489_TONE.volumeLevels,
+                quantizePitch: tableQuantizer(noiseNoteFrequencies([512, 1024, 2048].map(divider => SN76489_CLOCK / divider))),
+            },
+        ],
+    },
+    sid: {
+        label: 'Commodore 64 (SID)',
+        channels: [
+            { name: 'Voice 1', ...SID_VOICE },
+            { name: 'Voice 2', ...SID_VOICE },
+            { name: 'Voice 3', ...SID_VOICE },
+        ],
+    },
+});
+
+/** The chip of new projects, and of projects saved before chips existed. */
+export const DEFAULT_CHIP = 'unrestricted';
+
+/**
+ * Returns the number of tracks a project targeting a chip has.
+ * @param {object} profile - A CHIP_PROFILES entry.
+ * @returns {number} One track per channel, or MAX_AUDIO_CHANNELS for unrestricted projects.
+ */
+export function getChipTrackCount(profile) {
+    return profile.channels ? profile.channels.length : MAX_AUDIO_CHANNELS;
+}
+
+/**
+ * Returns the chip channel a track plays on.
+ * @param {object} profile - A CHIP_PROFILES entry.
+ * @param {number} trackIndex - The track index.
+ * @returns {object|null} The channel, or null if the track is unrestricted.
+ */
+export function getChipChannel(profile, trackIndex) {
+    return profile.channels ? profile.channels[trackIndex] || null : null;
+}
+
+/**
+ * Tells whether a track can run an effect command. The pulse width command (9xx) needs a channel that
+ * plays a pulse wave; every other command is played by the driver and works on any channel.
+ * @param {object|null} channel - The track's chip channel, from getChipChannel(), or null if unrestricted.
+ * @param {number} command - The effect command, an EFFECT value.
+ * @returns {boolean} True if the command is available.
+ */
+export function isEffectAvailable(channel, command) {
+    if (command !== EFFECT.SET_DUTY || !channel) return true;
+    return channel.sounds.includes('pulse');
+}
+
+/**
+ * Rounds a gain to the nearest level a channel can output. A gain above zero never rounds to silence,
+ * so quiet notes still play at the channel's lowest level.
+ * @param {Array<number>} levels - The channel's gain levels, ascending, starting with 0.
+ * @param {number} gain - The gain to round.
+ * @returns {number} The nearest level.
+ */
+export function quantizeLevel(levels, gain) {
+    if (gain <= 0) return 0;
+    return levels.reduce((best, level) =>
+        level > 0 && (best === 0 || Math.abs(level - gain) < Math.abs(best - gain)) ? level : best, 0);
+}
+
+/**
+ * Returns the instrument as a chip channel plays it. Channels that cannot play the instrument's sound
+ * play a close substitute instead (a square for a pulse, a triangle for a sine), or their own sound;
+ * they also play one sound at a time, so the noise layer of drum instruments is dropped.
+ * @param {Instrument} instrument - The instrument.
+ * @param {object|null} channel - The chip channel, from getChipChannel().
+ * @returns {Instrument|null} The instrument itself, a copy with the substituted settings, or null if the
+ *          channel plays only samples and the instrument is not one.
+ */
+export function fitInstrumentToChannel(instrument, channel) {
+    if (!channel) return instrument;
+    const sound = instrument.type === 'synth' ? instrument.waveform : instrument.type;
+    let fittedSound = sound;
+    if (!channel.sounds.includes(sound)) {
+        const substitute = SOUND_SUBSTITUTES[sound];
+        fittedSound = channel.sounds.includes(substitute) ? substitute : channel.sounds[0];
+    }
+    if (fittedSound === sound && !instrument.noiseMix) return instrument;
+    if (fittedSound === 'sample' && sound !== 'sample') return null;
+
+    const fitted = { ...instrument.toData(), noiseMix: 0 };
+    if (fittedSound === 'wavetable' || fittedSound === 'sample') {
+        fitted.type = fittedSound;
+    } else {
+        fitted.type = 'synth';
+        fitted.waveform = fittedSound;
+    }
+    return Instrument.from(fitted);
+}
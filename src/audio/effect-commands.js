@@ -0,0 +1,80 @@
+/**
+ * @file Tracker effect command definitions for Thunderbird Chiptune Composer.
+ * Parses the Cmd/Val columns of a pattern cell into a normalized effect object
+ * that the AudioEngine interprets tick by tick during playback, and the volume column into a volume.
+ */
+
+/**
+ * Main effect commands, keyed by the first hex digit of the Cmd column.
+ * The Val column holds the 8-bit parameter (xx, or x and y nibbles).
+ */
+export const EFFECT = Object.freeze({
+    ARPEGGIO: 0x0,        // 0xy - cycle note, note+x, note+y every tick
+    SLIDE_UP: 0x1,        // 1xx - raise pitch by xx/16 semitone per tick
+    SLIDE_DOWN: 0x2,      // 2xx - lower pitch by xx/16 semitone per tick
+    TONE_PORTAMENTO: 0x3, // 3xx - glide toward the row's note by xx/16 semitone per tick
+    VIBRATO: 0x4,         // 4xy - speed x, depth y/8 semitone
+    SET_DUTY: 0x9,        // 9xx - set pulse duty cycle of the playing note (00-03 = 12.5/25/50/75%)
+    VOLUME_SLIDE: 0xA,    // Axy - raise volume by x or lower it by y per tick
+    SET_VOLUME: 0xC,      // Cxx - set channel volume (00-40)
+    EXTENDED: 0xE,        // Exy - sub-command x (second Cmd digit), parameter y
+    SET_SPEED_TEMPO: 0xF, // Fxx - set speed (01-1F ticks per row) or tempo (20-FF BPM)
+});
+
+/**
+ * Extended (Ex) sub-commands, keyed by the second hex digit of the Cmd column.
+ */
+export const EXTENDED_EFFECT = Object.freeze({
+    DETUNE: 0x5,     // E5x - detune the row's note (or the playing note) by x/8 semitone; 8-F detune down by 8-1
+    NOTE_CUT: 0xC,   // ECx - silence the note on tick x
+    NOTE_DELAY: 0xD, // EDx - delay the row's note until tick x
+});
+
+/** Fxx parameters below this value set the speed; from it upward they set the BPM. */
+export const SPEED_TEMPO_THRESHOLD = 0x20;
+
+/** Highest channel volume value, as used by Cxx, Axy and the volume column (0x40). */
+export const MAX_CHANNEL_VOLUME = 0x40;
+
+/**
+ * Parses a cell's Cmd and Val columns into an effect descriptor.
+ * @param {string} effectCmd - Two hex digits (e.g. "A0", "EC"), or "--" for none.
+ * @param {string} effectVal - Two hex digits (e.g. "03"), or "--" for zero.
+ * @returns {{command: number, subCommand: number, param: number, x: number, y: number}|null}
+ *          The parsed effect, or null if the cell has no (valid) effect.
+ */
+export function parseEffectCommand(effectCmd, effectVal) {
+    if (!effectCmd || typeof effectCmd !== 'string') return null;
+    const cmd = effectCmd.trim().toUpperCase();
+    if (!/^[0-9A-F]{1,2}$/.test(cmd)) return null;
+
+    const val = (effectVal || '').trim().toUpperCase();
+    const param = /^[0-9A-F]{1,2}$/.test(val) ? parseInt(val, 16) : 0;
+
+    const command = parseInt(cmd[0], 16);
+    const subCommand = cmd.length > 1 ? parseInt(cmd[1], 16) : 0;
+
+    if (command === EFFECT.ARPEGGIO && subCommand === 0 && param === 0) {
+        return null; // "00 00" is a no-op, same as an empty column
+    }
+
+    if (command === EFFECT.EXTENDED) {
+        // Ex commands carry their sub-command in the Cmd column and a single nibble in Val
+        return { command, subCommand, param: param & 0x0F, x: subCommand, y: param & 0x0F };
+    }
+
+    return { command, subCommand, param, x: param >> 4, y: param & 0x0F };
+}
+
+/**
+ * Parses a cell's volume column.
+ * @param {string} volume - Two hex digits from "00" to "40", or "--" for none.
+ * @returns {number|null} The volume (0-64), or null if the cell has no (valid) volume.
+ */
+export function parseVolumeColumn(volume) {
+    if (!volume || typeof volume !== 'string') return null;
+    const text = volume.trim();
+    if (!/^[0-9A-Fa-f]{1,2}$/.test(text)) return null;
+    const value = parseInt(text, 16);
+    return value <= MAX_CHANNEL_VOLUME ? value : null;
+}
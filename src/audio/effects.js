@@ -1,8 +1,38 @@
 /**
  * @file Audio effect processors for Thunderbird Chiptune Composer.
- * Provides functions to create various audio effects like delay, filter, distortion.
+ * Provides functions to create various audio effects like delay, filter, distortion, bitcrusher.
  */
 
+// Contexts whose AudioWorklet has the effect processors loaded, mapped to the loading promise
+const processorModules = new WeakMap();
+const loadedProcessorContexts = new WeakSet();
+let bitcrusherFallbackWarned = false;
+
+/**
+ * Loads the AudioWorklet processors used by worklet-based effects (the bitcrusher) into a context.
+ * Safe to call repeatedly; each context loads the module once.
+ * @param {BaseAudioContext} audioContext - The AudioContext or OfflineAudioContext.
+ * @returns {Promise<boolean>} True if the processors are available, false if AudioWorklet is unsupported or loading failed.
+ */
+export function loadEffectProcessors(audioContext) {
+    if (!audioContext) throw new Error("AudioContext is required for loadEffectProcessors.");
+    if (!audioContext.audioWorklet) return Promise.resolve(false);
+
+    if (!processorModules.has(audioContext)) {
+        const moduleUrl = new URL('./worklets/bitcrusher-processor.js', import.meta.url);
+        processorModules.set(audioContext, audioContext.audioWorklet.addModule(moduleUrl)
+            .then(() => {
+                loadedProcessorContexts.add(audioContext);
+                return true;
+            })
+            .catch((e) => {
+                console.error("Failed to load effect processors:", e);
+                return false;
+            }));
+    }
+    return processorModules.get(audioContext);
+}
+
 /**
  * Creates a delay effect.
  * @param {AudioContext} audioContext - The AudioContext.
@@ -135,6 +165,187 @@ export function createDistortion(audioContext, amount = 50) {
     };
 }
 
+/**
+ * Creates a bitcrusher effect: sample-rate reduction (sample and hold) followed by bit depth reduction.
+ * Needs the processors from loadEffectProcessors(); until they are loaded, or where AudioWorklet is
+ * unsupported, it falls back to a WaveShaperNode that only reduces the bit depth.
+ * @param {AudioContext} audioContext - The AudioContext.
+ * @param {number} [bitDepth=8] - Bits per sample (1 to 16).
+ * @param {number} [sampleRate=11025] - The reduced sample rate in Hz.
+ * @returns {{input: AudioNode, output: AudioNode, crusherNode: AudioNode, setBitDepth: function, setSampleRate: function, dispose: function}}
+ *          The crusher node serves as both input and output. Call dispose() once nothing plays through it any more.
+ */
+export function createBitcrusher(audioContext, bitDepth = 8, sampleRate = 11025) {
+    if (!audioContext) throw new Error("AudioContext is required for createBitcrusher.");
+
+    const clampBitDepth = (bits) => Math.max(1, Math.min(16, Math.round(bits) || 8));
+    const clampSampleRate = (rate) => Math.max(100, Math.min(audioContext.sampleRate, rate || 11025));
+
+    if (loadedProcessorContexts.has(audioContext)) {
+        const crusherNode = new AudioWorkletNode(audioContext, 'bitcrusher-processor');
+        crusherNode.parameters.get('bitDepth').setValueAtTime(clampBitDepth(bitDepth), audioContext.currentTime);
+        crusherNode.parameters.get('reducedSampleRate').setValueAtTime(clampSampleRate(sampleRate), audioContext.currentTime);
+
+        return {
+            input: crusherNode,
+            output: crusherNode,
+            crusherNode,
+            setBitDepth: (bits) => crusherNode.parameters.get('bitDepth').setValueAtTime(clampBitDepth(bits), audioContext.currentTime),
+            setSampleRate: (rate) => crusherNode.parameters.get('reducedSampleRate').setValueAtTime(clampSampleRate(rate), audioContext.currentTime),
+            dispose: () => {
+                crusherNode.port.postMessage('dispose');
+                crusherNode.disconnect();
+            },
+        };
+    }
+
+    if (!bitcrusherFallbackWarned) {
+        console.warn("createBitcrusher: Effect processors not loaded; sample-rate reduction is unavailable.");
+        bitcrusherFallbackWarned = true;
+    }
+    const shaperNode = audioContext.createWaveShaper();
+
+    function makeStaircaseCurve(bits) {
+        const levels = Math.pow(2, clampBitDepth(bits) - 1);
+        const n_samples = 65536; // Enough points that linear interpolation keeps the steps sharp
+        const curve = new Float32Array(n_samples);
+        for (let i = 0; i < n_samples; ++i) {
+            const x = i * 2 / (n_samples - 1) - 1;
+            curve[i] = Math.round(x * levels) / levels;
+        }
+        return curve;
+    }
+
+    shaperNode.curve = makeStaircaseCurve(bitDepth);
+
+    return {
+        input: shaperNode,
+        output: shaperNode,
+        crusherNode: shaperNode,
+        setBitDepth: (bits) => {
+            shaperNode.curve = makeStaircaseCurve(bits);
+        },
+        setSampleRate: () => {}, // Not supported without the worklet
+        dispose: () => shaperNode.disconnect(),
+    };
+}
+
+/**
+ * Effects an instrument's effect chain can hold, with the settings the Instrument Editor shows for each.
+ * Numeric params have a range and default; 'select' params list their options. To offer a new effect,
+ * add an entry whose create() returns an {input, output} unit built from the params, and a tail() if the
+ * unit keeps sounding after its input stops.
+ *
+ * The bitcrusher is not one of them: it crushes each note's raw waveform before the envelope, as a chip's
+ * DAC would, rather than the enveloped signal a chain receives, and it is switched off with the rest of
+ * the feature by config.enableBitcrusher.
+ */
+export const EFFECT_TYPES = Object.freeze({
+    delay: {
+        label: 'Delay',
+        params: {
+            delayTime: { label: 'Time (s)', min: 0.01, max: 2, step: 0.01, defaultValue: 0.25 },
+            feedback: { label: 'Feedback', min: 0, max: 0.95, step: 0.05, defaultValue: 0.3 },
+        },
+        create: (audioContext, params) => createDelay(audioContext, params.delayTime, params.feedback),
+        // Echoes fade by the feedback each repeat; count them until they are 60 dB down
+        tail: (params) => params.delayTime * (params.feedback > 0 ? Math.ceil(Math.log(0.001) / Math.log(params.feedback)) : 1),
+    },
+    filter: {
+        label: 'Filter',
+        params: {
+            filterType: { label: 'Type', options: ['lowpass', 'highpass', 'bandpass'], defaultValue: 'lowpass' },
+            frequency: { label: 'Frequency (Hz)', min: 20, max: 20000, step: 1, defaultValue: 1000 },
+            q: { label: 'Q', min: 0.1, max: 30, step: 0.1, defaultValue: 1 },
+        },
+        create: (audioContext, params) => createFilter(audioContext, params.filterType, params.frequency, params.q),
+    },
+    distortion: {
+        label: 'Distortion',
+        params: {
+            amount: { label: 'Amount', min: 0, max: 400, step: 1, defaultValue: 50 },
+        },
+        create: (audioContext, params) => createDistortion(audioContext, params.amount),
+    },
+});
+
+/**
+ * Returns a clean copy of one effect of a chain, with unknown params dropped and
+ * missing or out-of-range ones replaced by their defaults.
+ * @param {object} effect - The effect as stored on an instrument.
+ * @param {string} effect.type - A key of EFFECT_TYPES.
+ * @param {boolean} [effect.enabled=true] - False bypasses the effect.
+ * @param {number} [effect.mix=1] - Wet level (0 = dry signal only, 1 = effect only).
+ * @param {object} [effect.params] - Settings, keyed as in EFFECT_TYPES[type].params.
+ * @returns {object|null} The normalized effect, or null if its type is unknown.
+ */
+export function normalizeEffectSettings(effect) {
+    const effectType = effect ? EFFECT_TYPES[effect.type] : null;
+    if (!effectType) return null;
+
+    const params = {};
+    Object.entries(effectType.params).forEach(([name, spec]) => {
+        const value = effect.params ? effect.params[name] : undefined;
+        if (spec.options) {
+            params[name] = spec.options.includes(value) ? value : spec.defaultValue;
+        } else {
+            params[name] = (typeof value === 'number' && value >= spec.min && value <= spec.max) ? value : spec.defaultValue;
+        }
+    });
+    const mix = typeof effect.mix === 'number' ? Math.max(0, Math.min(1, effect.mix)) : 1;
+    return { type: effect.type, enabled: effect.enabled !== false, mix, params };
+}
+
+/**
+ * Creates an ordered chain of effects, each blended with its own input by its dry/wet mix.
+ * Disabled effects are left out.
+ * @param {BaseAudioContext} audioContext - The AudioContext.
+ * @param {Array<object>} effects - Effect settings, in signal order (see normalizeEffectSettings()).
+ * @returns {{input: GainNode, output: GainNode, tail: number, dispose: function}}
+ *          Connect the source to `input` and take the processed signal from `output`. `tail` is how
+ *          long, in seconds, the chain keeps sounding after its input goes silent.
+ *          Call dispose() once nothing plays through the chain any more.
+ */
+export function createEffectChain(audioContext, effects) {
+    if (!audioContext) throw new Error("AudioContext is required for createEffectChain.");
+
+    const input = audioContext.createGain();
+    const nodes = [input];
+    let chainEnd = input;
+    let tail = 0;
+
+    (effects || []).map(normalizeEffectSettings).forEach(effect => {
+        if (!effect || !effect.enabled) return;
+        const effectType = EFFECT_TYPES[effect.type];
+        const unit = effectType.create(audioContext, effect.params);
+        if (effectType.tail) tail += effectType.tail(effect.params);
+        const dryGain = audioContext.createGain();
+        const wetGain = audioContext.createGain();
+        const unitOutput = audioContext.createGain();
+        dryGain.gain.value = 1 - effect.mix;
+        wetGain.gain.value = effect.mix;
+
+        chainEnd.connect(dryGain);
+        chainEnd.connect(unit.input);
+        unit.output.connect(wetGain);
+        dryGain.connect(unitOutput);
+        wetGain.connect(unitOutput);
+        nodes.push(unit.input, unit.output, dryGain, wetGain, unitOutput);
+        chainEnd = unitOutput;
+    });
+
+    const output = audioContext.createGain();
+    chainEnd.connect(output);
+    nodes.push(output);
+
+    return {
+        input,
+        output,
+        tail,
+        dispose: () => nodes.forEach(node => node.disconnect()),
+    };
+}
+
 // Example of how these might be used:
 // import audioEngine from './engine.js'; // Assuming engine.js exports an initialized audioEngine
 // import { createDelay, createFilter, createDistortion } from './effects.js';
@@ -3,17 +3,55 @@
  * Handles audio context, sound loading, playback scheduling, and master controls.
  */
 
+import { EFFECT, EXTENDED_EFFECT, MAX_CHANNEL_VOLUME, SPEED_TEMPO_THRESHOLD, parseEffectCommand, parseVolumeColumn } from './effect-commands.js';
+import { NOTE_OFF, NOTE_CUT, parseNote, isPlayableNote } from '../utils/formatters.js';
+import Voice, { releaseNote, rampEnvelope, filterCutoffAt } from './voice.js';
+import ChannelStrip, { MixBus, SEND_BUS_COUNT } from './mixer.js';
+import Instrument from './instruments.js';
+import { SAMPLE_RATE } from '../constants.js';
+import {
+    PULSE_DUTY_CYCLES, WAVETABLE_PRESETS, NOISE_MODES, NOISE_CLOCK_RATIO,
+    getPulseWave, getWavetableWave, getLfsrNoiseBuffer
+} from './generators.js';
+import { createBitcrusher, loadEffectProcessors, normalizeEffectSettings } from './effects.js';
+import { buildArpeggioSequence, arpeggioOffsetAt } from './arpeggiator.js';
+import { CHIP_PROFILES, DEFAULT_CHIP, getChipChannel, fitInstrumentToChannel, isEffectAvailable } from './chips.js';
+import Tuning, { STANDARD_TUNING } from './tuning.js';
+
+// Ticks per row at which BPM and rows-per-beat describe the real tempo, as in classic trackers
+const REFERENCE_SPEED = 6;
+
+// Effect commands that move the pitch of the playing note, handled by applyPitchModulation()
+const PITCH_EFFECTS = [EFFECT.ARPEGGIO, EFFECT.SLIDE_UP, EFFECT.SLIDE_DOWN, EFFECT.TONE_PORTAMENTO, EFFECT.VIBRATO];
+
+// Detune of one E5x step, in cents (1/8 semitone)
+const DETUNE_STEP_CENTS = 100 / 8;
+
+// Velocity of notes with an empty volume column; the same as volume 20
+const DEFAULT_VELOCITY = 0.5;
+
+// Seconds a note entered in the grid sounds for before its release
+const AUDITION_DURATION = 0.4;
+
+// Effects the send buses start with: an echo and a dark low-pass
+const DEFAULT_SEND_EFFECTS = [
+    [{ type: 'delay', params: { delayTime: 0.3, feedback: 0.35 } }],
+    [{ type: 'filter', params: { filterType: 'lowpass', frequency: 800, q: 1 } }],
+];
+
 class AudioEngine {
     constructor() {
         this.audioContext = null;
         this.masterGain = null;
         // this.playbackIntervalId = null; // Removed
         this.currentStep = 0;
+        this.currentOrderIndex = 0; // Position in the song's order list
         this.trackerGrid = null; // To hold a reference to the grid
+        this.song = null; // Song whose order list drives playback
         this.isPlaying = false;
         this.isPaused = false; // Ensure isPaused is initialized
-        this.instruments = new Map();
-        this.defaultInstrument = {
+        this.instruments = new Map(); // Instrument instances by ID
+        this.defaultInstrument = new Instrument({
             id: 'default',
             name: 'Default ADSR',
             waveform: 'sine',
@@ -22,34 +60,71 @@ class AudioEngine {
             sustainLevel: 0.7,
             releaseTime: 0.2,
             volume: 0.7 // Default per-instrument volume
-        };
+        });
 
-        this.bpm = 120;
+        this.bpm = 120; // Project tempo, in beats per minute at the reference speed
+        this.rowsPerBeat = 4; // Rows per beat at the reference speed (4 = rows are 16th notes)
+        this.speed = REFERENCE_SPEED; // Project speed, in ticks per row
+        this.playbackBpm = this.bpm; // Tempo and speed in effect during playback; Fxx changes these
+        this.playbackSpeed = this.speed;
         this.scheduleAheadTime = 0.1;
         this.nextNoteTime = 0.0;
         this.timerID = null;
-        this.noteDuration = 0.15;
         this.maxSteps = 16;
         this.onStepChangeCallback = null;
+        this.voices = []; // One monophonic Voice per track, created on first use
+        this.channelStrips = []; // One mixer ChannelStrip per track, between its voice and the master bus
+        this.masterBus = null; // Master insert chain, between the strips (and send returns) and the master gain
+        this.sendBuses = []; // Effect buses fed by the strips' sends, returning into the master bus
+        this.busSettings = {
+            masterEffects: [],
+            sends: DEFAULT_SEND_EFFECTS.map(effects => ({ effects: effects.map(normalizeEffectSettings), level: 1 })),
+        };
+        this.sampleBuffers = new Map(); // Decoded sounds by key (the URL for sample instruments)
+        this.arpeggiatorEnabled = true; // Feature flag (config.enableArpeggiator); when off, instrument arpeggiators are ignored
+        this.bitcrusherEnabled = true; // Feature flag (config.enableBitcrusher); when off, bitcrusher settings are ignored
+        this.masterBitcrusherSettings = { enabled: false, bitDepth: 8, sampleRate: 11025 };
+        this.masterBitcrusher = null; // Bitcrusher between the master gain and the destination, while enabled
+        this.chip = DEFAULT_CHIP; // Key of CHIP_PROFILES the project targets
+        this.tuning = new Tuning(); // Reference pitch and temperament of the project
     }
 
     /**
      * Initializes the AudioContext and other necessary components.
+     * @param {BaseAudioContext} [context] - An existing context to play into (e.g. an OfflineAudioContext
+     *                                       for rendering). A new realtime AudioContext is created if omitted.
      * @returns {boolean} True if initialization was successful, false otherwise.
      */
-    init() {
+    init(context) {
         try {
-            window.AudioContext = window.AudioContext || window.webkitAudioContext;
-            if (!window.AudioContext) {
-                console.error("Web Audio API is not supported in this browser.");
-                return false;
+            if (context) {
+                this.audioContext = context;
+            } else {
+                window.AudioContext = window.AudioContext || window.webkitAudioContext;
+                if (!window.AudioContext) {
+                    console.error("Web Audio API is not supported in this browser.");
+                    return false;
+                }
+                this.audioContext = new AudioContext();
             }
-            this.audioContext = new AudioContext();
 
             // Create a master gain node
             this.masterGain = this.audioContext.createGain();
             this.masterGain.connect(this.audioContext.destination);
             this.masterGain.gain.setValueAtTime(0.7, this.audioContext.currentTime); // Default volume
+            this.masterBus = new MixBus(this.audioContext, this.masterGain, this.busSettings.masterEffects);
+            this.sendBuses = this.busSettings.sends.map(send => {
+                const bus = new MixBus(this.audioContext, this.masterBus.input, send.effects);
+                bus.setLevel(send.level);
+                return bus;
+            });
+            this.masterBitcrusher = null;
+            // Worklet effects (the bitcrusher) become available once this resolves
+            this.effectProcessorsReady = loadEffectProcessors(this.audioContext)
+                .then(loaded => {
+                    this._updateMasterBitcrusher(); // Rebuild with sample-rate reduction if it was enabled before loading finished
+                    return loaded;
+                });
 
             console.log("AudioEngine initialized successfully.");
             return true;
@@ -60,52 +135,106 @@ class AudioEngine {
     }
 
     /**
-     * Placeholder for loading a sound file.
+     * Fetches and decodes a sound file, caching the decoded buffer by key.
+     * Buffers already in the cache are returned without fetching again.
      * @param {string} url - The URL of the sound file to load.
+     * @param {string} [key=url] - The cache key, as referenced by sample instruments.
+     * @returns {Promise<AudioBuffer|null>} The decoded audio, or null if loading failed.
      */
-    async loadSound(url) {
-        console.log(`Placeholder: loadSound(${url})`);
-        // In a real implementation:
-        // const response = await fetch(url);
-        // const arrayBuffer = await response.arrayBuffer();
-        // const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-        // return audioBuffer;
-        return null;
+    async loadSound(url, key = url) {
+        if (this.sampleBuffers.has(key)) {
+            return this.sampleBuffers.get(key);
+        }
+        if (!this.audioContext) {
+            console.error("AudioEngine.loadSound: AudioContext not initialized.");
+            return null;
+        }
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const arrayBuffer = await response.arrayBuffer();
+            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            this.sampleBuffers.set(key, audioBuffer);
+            console.log(`AudioEngine: Sound '${key}' loaded (${audioBuffer.duration.toFixed(2)}s).`);
+            return audioBuffer;
+        } catch (e) {
+            console.error(`AudioEngine.loadSound: Failed to load '${url}':`, e);
+            return null;
+        }
     }
 
     /**
-     * Placeholder for playing a loaded sound buffer.
+     * Returns a previously loaded sound from the cache.
+     * @param {string} key - The cache key passed to loadSound().
+     * @returns {AudioBuffer|null} The decoded audio, or null if it has not been loaded.
+     */
+    getSound(key) {
+        return this.sampleBuffers.get(key) || null;
+    }
+
+    /**
+     * Loads the sounds used by every sample instrument, e.g. after a project has been loaded.
+     * @returns {Promise<void>} Resolves once every load has finished or failed.
+     */
+    async loadInstrumentSamples() {
+        const urls = new Set();
+        this.instruments.forEach(instrument => {
+            if (instrument.type === 'sample' && instrument.sampleUrl) urls.add(instrument.sampleUrl);
+        });
+        await Promise.all(Array.from(urls).map(url => this.loadSound(url)));
+    }
+
+    /**
+     * Plays a loaded sound buffer.
      * @param {AudioBuffer} buffer - The AudioBuffer to play.
      * @param {number} time - The AudioContext time at which to start playing.
+     * @param {object} [options] - Playback options.
+     * @param {AudioNode} [options.destination] - Node to connect to. Defaults to the master gain.
+     * @param {number} [options.playbackRate=1] - Playback speed; also transposes the sound.
+     * @param {boolean} [options.loop=false] - Whether to repeat the loop region until stopped.
+     * @param {number} [options.loopStart=0] - Start of the loop region in seconds.
+     * @param {number} [options.loopEnd=0] - End of the loop region in seconds; 0 loops to the end of the buffer.
+     * @returns {AudioBufferSourceNode|null} The playing source, or null if it could not be started.
      */
-    playSound(buffer, time) {
-        console.log(`Placeholder: playSound(buffer, ${time})`);
+    playSound(buffer, time, { destination, playbackRate = 1, loop = false, loopStart = 0, loopEnd = 0 } = {}) {
         if (!this.audioContext || !buffer) {
             console.error("AudioContext not initialized or buffer not provided.");
-            return;
+            return null;
         }
-        // In a real implementation:
-        // const source = this.audioContext.createBufferSource();
-        // source.buffer = buffer;
-        // source.connect(this.masterGain);
-        // source.start(time);
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.setValueAtTime(playbackRate, time);
+        if (loop) {
+            source.loop = true;
+            source.loopStart = Math.max(0, Math.min(buffer.duration, loopStart));
+            source.loopEnd = loopEnd > source.loopStart ? Math.min(buffer.duration, loopEnd) : 0;
+        }
+        source.connect(destination || this.masterGain);
+        source.start(time);
+        return source;
     }
 
     /**
-     * Placeholder for scheduling a note to be played by a specific instrument.
-     * @param {object} note - Object containing note details (e.g., pitch, velocity).
+     * Schedules a note to be played by a specific instrument.
+     * @param {object} noteInfo - Object containing note details (e.g., pitch, velocity).
+     * @param {Array<number>} [noteInfo.volumeLevels] - Gain levels of the chip channel playing the note (see chips.js);
+     *                                                  the envelope moves in these steps instead of smoothly.
      * @param {number} time - The AudioContext time to play the note.
-     * @param {number} duration - The duration until the note-off signal (start of release phase).
-     * @param {object} instrumentData - The instrument data object to use for this note.
+     * @param {number|null} duration - The duration until the note-off signal (start of release phase).
+     *                                 Pass null to hold the note at its sustain level until it is released or cut.
+     * @param {Instrument} instrumentData - The instrument to play the note with.
+     * @param {AudioNode} [destination] - Node to connect the note to. Defaults to the master gain.
+     * @returns {object|null} A note handle with the note's nodes and envelope, for a Voice and the note helpers in voice.js.
+     *                        Null if the note could not be scheduled (e.g. its sample is not loaded).
      */
-    scheduleNote(noteInfo, time, duration, instrumentData) {
+    scheduleNote(noteInfo, time, duration, instrumentData, destination) {
         if (!this.audioContext || this.audioContext.state === 'closed') {
             console.warn("AudioEngine.scheduleNote: AudioContext not available or closed.");
-            return;
+            return null;
         }
         if (!noteInfo || typeof noteInfo.pitch !== 'number') {
             console.warn("AudioEngine.scheduleNote: Invalid noteInfo or pitch missing.");
-            return;
+            return null;
         }
 
         const activeInstrument = instrumentData || this.defaultInstrument;
@@ -119,31 +248,200 @@ class AudioEngine {
         const sustain = Math.max(0, Math.min(1, activeInstrument.sustainLevel === undefined ? 0.7 : activeInstrument.sustainLevel));
         const release = Math.max(0.001, activeInstrument.releaseTime || 0.2);
 
-        const osc = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
+        gainNode.connect(destination || this.masterGain);
 
-        osc.type = activeInstrument.waveform || 'sine';
-        osc.frequency.setValueAtTime(noteInfo.pitch, time);
+        // Sources feed the envelope directly, or through the instrument's filter and bitcrusher
+        let sourceOutput = gainNode;
+        const filter = this._createNoteFilter(activeInstrument.filter, noteInfo.pitch, time);
+        if (filter) {
+            filter.node.connect(gainNode);
+            sourceOutput = filter.node;
+        }
+        let bitcrusher = null;
+        const crusherSettings = activeInstrument.bitcrusher;
+        if (this.bitcrusherEnabled && crusherSettings && crusherSettings.enabled) {
+            bitcrusher = createBitcrusher(this.audioContext, crusherSettings.bitDepth, crusherSettings.sampleRate);
+            bitcrusher.output.connect(sourceOutput);
+            sourceOutput = bitcrusher.input;
+        }
 
-        gainNode.connect(this.masterGain);
-        osc.connect(gainNode);
+        // The note's sound sources, plus the AudioParam and scale factor that set its pitch in Hz
+        const sources = [];
+        let pitchParam, pitchScale = 1, pulseOscillator = null, dutyIndex = null;
 
-        const noteEndTime = time + duration; // Time when note-off occurs / release phase starts
+        // Drum instruments can blend LFSR noise in with the tone
+        const noiseMix = activeInstrument.waveform === 'noise' ? 0 : Math.max(0, Math.min(1, activeInstrument.noiseMix || 0));
+        let toneOutput = sourceOutput;
+        if (noiseMix > 0) {
+            toneOutput = this.audioContext.createGain();
+            toneOutput.gain.value = 1 - noiseMix;
+            toneOutput.connect(sourceOutput);
+        }
+        if (activeInstrument.type === 'sample') {
+            const buffer = this.getSound(activeInstrument.sampleUrl);
+            if (!buffer) {
+                console.warn(`AudioEngine.scheduleNote: Sample '${activeInstrument.sampleUrl}' is not loaded.`);
+                gainNode.disconnect();
+                if (bitcrusher) bitcrusher.dispose();
+                if (filter) filter.node.disconnect();
+                if (toneOutput !== sourceOutput) toneOutput.disconnect();
+                return null;
+            }
+            // The sample plays at its original speed on its root note (in standard tuning, as it was recorded)
+            // and is resampled for other notes
+            const rootNote = this.parseNoteNumber(activeInstrument.rootNote);
+            pitchScale = 1 / STANDARD_TUNING.frequencyOf(rootNote === null ? 60 : rootNote);
+            const source = this.playSound(buffer, time, {
+                destination: toneOutput,
+                playbackRate: noteInfo.pitch * pitchScale,
+                loop: activeInstrument.loopMode === 'loop',
+                loopStart: activeInstrument.loopStart || 0,
+                loopEnd: activeInstrument.loopEnd || 0,
+            });
+            sources.push(source);
+            pitchParam = source.playbackRate;
+        } else if (activeInstrument.type === 'wavetable') {
+            const osc = this.audioContext.createOscillator();
+            osc.setPeriodicWave(getWavetableWave(this.audioContext, activeInstrument.wavetable || WAVETABLE_PRESETS.triangle));
+            osc.frequency.setValueAtTime(noteInfo.pitch, time);
+            osc.connect(toneOutput);
+            osc.start(time);
+            sources.push(osc);
+            pitchParam = osc.frequency;
+        } else if (activeInstrument.waveform === 'noise') {
+            // The LFSR clock follows the note: the looped period is resampled to NOISE_CLOCK_RATIO steps per note cycle
+            const mode = NOISE_MODES.includes(activeInstrument.noiseMode) ? activeInstrument.noiseMode : 'long';
+            const buffer = getLfsrNoiseBuffer(this.audioContext, mode);
+            pitchScale = NOISE_CLOCK_RATIO / buffer.sampleRate;
+            const source = this.playSound(buffer, time, { destination: toneOutput, playbackRate: noteInfo.pitch * pitchScale, loop: true });
+            sources.push(source);
+            pitchParam = source.playbackRate;
+        } else if (activeInstrument.waveform === 'pulse') {
+            // A duty change (9xx) swaps the oscillator's wave for another duty cycle (see Voice.setDuty())
+            dutyIndex = Math.max(0, PULSE_DUTY_CYCLES.indexOf(activeInstrument.duty === undefined ? 0.5 : activeInstrument.duty));
+            const osc = this.audioContext.createOscillator();
+            osc.setPeriodicWave(getPulseWave(this.audioContext, PULSE_DUTY_CYCLES[dutyIndex]));
+            osc.frequency.setValueAtTime(noteInfo.pitch, time);
+            osc.connect(toneOutput);
+            osc.start(time);
+            sources.push(osc);
+            pitchParam = osc.frequency;
+            pulseOscillator = osc;
+        } else {
+            const osc = this.audioContext.createOscillator();
+            osc.type = activeInstrument.waveform || 'sine';
+            osc.frequency.setValueAtTime(noteInfo.pitch, time);
+            osc.connect(toneOutput);
+            osc.start(time);
+            sources.push(osc);
+            pitchParam = osc.frequency;
+        }
+
+        if (noiseMix > 0) {
+            // The noise layer is clocked by the note like the noise waveform, so higher notes give brighter noise
+            const mode = NOISE_MODES.includes(activeInstrument.noiseMode) ? activeInstrument.noiseMode : 'long';
+            const buffer = getLfsrNoiseBuffer(this.audioContext, mode);
+            const noiseGain = this.audioContext.createGain();
+            noiseGain.gain.value = noiseMix;
+            noiseGain.connect(sourceOutput);
+            sources.push(this.playSound(buffer, time, {
+                destination: noiseGain,
+                playbackRate: noteInfo.pitch * NOISE_CLOCK_RATIO / buffer.sampleRate,
+                loop: true,
+            }));
+        }
+
+        const pitchEnvelope = activeInstrument.pitchEnvelope;
+        if (pitchEnvelope && pitchEnvelope.enabled && pitchEnvelope.startOffset) {
+            this._schedulePitchEnvelope(sources, pitchEnvelope, time);
+        }
+
+        if (bitcrusher) {
+            sources[0].onended = () => bitcrusher.dispose(); // Lets the per-note crusher be garbage collected
+        }
 
+        const volumeLevels = noteInfo.volumeLevels || null;
         gainNode.gain.setValueAtTime(0, time); // Initial value
-        gainNode.gain.linearRampToValueAtTime(peakVolume, time + attack); // Attack phase
-        gainNode.gain.linearRampToValueAtTime(peakVolume * sustain, time + attack + decay); // Decay to sustain level
+        rampEnvelope(gainNode.gain, 0, peakVolume, time, time + attack, volumeLevels); // Attack phase
+        // Decay to sustain level, held until note-off
+        rampEnvelope(gainNode.gain, peakVolume, peakVolume * sustain, time + attack, time + attack + decay, volumeLevels);
 
-        // Hold sustain level until noteEndTime if duration is longer than Attack + Decay
-        if (noteEndTime > time + attack + decay) {
-            gainNode.gain.setValueAtTime(peakVolume * sustain, noteEndTime); // Explicitly set value at start of release
+        const note = {
+            sources, pitchParam, pitchScale, pulseOscillator, dutyIndex, gainNode, filter, volumeLevels,
+            startTime: time, instrumentVolume, peakVolume, attack, decay, sustain, release, releasedAt: null,
+        };
+        if (typeof duration === 'number') {
+            releaseNote(note, time + duration);
         }
-        // For notes shorter than Attack+Decay, the previous ramp will be cut short by this one:
-        gainNode.gain.linearRampToValueAtTime(0, noteEndTime + release); // Release phase
+        return note;
+    }
+
+    /**
+     * Sweeps a note's sources from the pitch envelope's start offset down (or up) to the note's pitch.
+     * The sweep runs on the sources' detune, so it combines with the tick-based pitch effects.
+     * @param {Array<AudioScheduledSourceNode>} sources - The note's sources.
+     * @param {object} pitchEnvelope - The instrument's pitch envelope.
+     * @param {number} pitchEnvelope.startOffset - Pitch at the start of the note, in semitones from the note (-48 to 48).
+     * @param {number} pitchEnvelope.time - Sweep time in seconds.
+     * @param {string} pitchEnvelope.curve - 'linear' (even in semitones) or 'exponential' (fast at first, then settling).
+     * @param {number} time - The AudioContext time at which the note starts.
+     */
+    _schedulePitchEnvelope(sources, { startOffset, time: sweepTime, curve }, time) {
+        const sweep = Math.max(0.001, sweepTime || 0.1);
+        const startCents = Math.max(-48, Math.min(48, startOffset)) * 100;
+        sources.forEach(source => {
+            source.detune.setValueAtTime(startCents, time);
+            if (curve === 'exponential') {
+                source.detune.setTargetAtTime(0, time, sweep / 5);
+                source.detune.setValueAtTime(0, time + sweep);
+            } else {
+                source.detune.linearRampToValueAtTime(0, time + sweep);
+            }
+        });
+    }
+
+    /**
+     * Creates the BiquadFilter of an instrument with a filter, and schedules the attack and decay
+     * of its cutoff envelope. The release is scheduled by releaseNote().
+     * @param {object} [settings] - The instrument's filter settings.
+     * @param {boolean} settings.enabled - Whether the instrument is filtered.
+     * @param {BiquadFilterType} settings.type - 'lowpass', 'highpass' or 'bandpass'.
+     * @param {number} settings.cutoff - Cutoff frequency in Hz for C-4 with the envelope at rest.
+     * @param {number} settings.resonance - The filter's Q.
+     * @param {number} settings.envelopeAmount - How far the envelope moves the cutoff at its peak, in octaves (may be negative).
+     * @param {number} settings.attack - Envelope attack time in seconds.
+     * @param {number} settings.decay - Envelope decay time in seconds.
+     * @param {number} settings.sustain - Envelope sustain level (0 to 1).
+     * @param {number} settings.release - Envelope release time in seconds.
+     * @param {number} settings.keyTracking - How much the cutoff follows the note (0 = fixed, 1 = moves an octave per octave).
+     * @param {number} pitch - The note's pitch in Hz.
+     * @param {number} time - The AudioContext time at which the note starts.
+     * @returns {object|null} The filter part of the note handle, or null if the instrument has no active filter.
+     */
+    _createNoteFilter(settings, pitch, time) {
+        if (!settings || !settings.enabled) return null;
 
-        osc.start(time);
-        osc.stop(noteEndTime + release + 0.05); // Stop oscillator after release phase + small buffer
-        // console.log(`ADSR: A:${attack.toFixed(3)} D:${decay.toFixed(3)} S:${sustain.toFixed(2)} R:${release.toFixed(3)} Vol:${peakVolume.toFixed(2)} NoteOff@${noteEndTime.toFixed(3)} OscStop@${(noteEndTime + release + 0.05).toFixed(3)}`);
+        const keyTracking = Math.max(0, Math.min(1, settings.keyTracking || 0));
+        const baseCutoff = (settings.cutoff || 2000) * Math.pow(pitch / this.parseNoteString('C-4'), keyTracking);
+        const filter = {
+            node: this.audioContext.createBiquadFilter(),
+            baseCutoff,
+            envelopeAmount: settings.envelopeAmount || 0,
+            attack: Math.max(0.001, settings.attack || 0.001),
+            decay: Math.max(0.001, settings.decay || 0.001),
+            sustain: Math.max(0, Math.min(1, settings.sustain === undefined ? 1 : settings.sustain)),
+            release: Math.max(0.001, settings.release || 0.001),
+            maxCutoff: Math.min(20000, this.audioContext.sampleRate / 2),
+        };
+        filter.node.type = settings.type || 'lowpass';
+        filter.node.Q.setValueAtTime(settings.resonance || 1, time);
+
+        // Exponential ramps move the cutoff evenly in octaves
+        filter.node.frequency.setValueAtTime(filterCutoffAt(filter, 0), time);
+        filter.node.frequency.exponentialRampToValueAtTime(filterCutoffAt(filter, 1), time + filter.attack);
+        filter.node.frequency.exponentialRampToValueAtTime(filterCutoffAt(filter, filter.sustain), time + filter.attack + filter.decay);
+        return filter;
     }
 
     /**
@@ -164,8 +462,10 @@ class AudioEngine {
         const doStart = () => {
             this.isPlaying = true;
             this.isPaused = false;
-            if (this.nextNoteTime === 0.0 || this.currentStep === 0) { // Start from beginning or if it's a fresh start
+            if (this.nextNoteTime === 0.0) { // Fresh start from the beginning of the song
                  this.currentStep = 0;
+                 this.currentOrderIndex = 0;
+                 this.resetPlaybackTiming();
                  this.nextNoteTime = this.audioContext.currentTime + 0.05; // Start scheduling slightly in the future
             } else {
                 // Resuming from pause: nextNoteTime should already be set appropriately relative to audioContext.currentTime
@@ -193,11 +493,46 @@ class AudioEngine {
     }
 
     /**
-     * Calculates the duration of a single step/row in seconds based on BPM.
+     * Calculates the duration of a single step/row in seconds: speed ticks of the current tick length.
      * @returns {number} Duration of a step in seconds.
      */
     calculateStepDuration() {
-        return 60.0 / this.bpm;
+        return this.calculateTickDuration() * this.playbackSpeed;
+    }
+
+    /**
+     * Calculates the duration of a single tick, the resolution at which effect commands run.
+     * The tick length follows from BPM and rows per beat at the reference speed, so raising the
+     * speed lengthens rows rather than shortening ticks.
+     * @returns {number} Duration of a tick in seconds.
+     */
+    calculateTickDuration() {
+        return 60.0 / (this.playbackBpm * this.rowsPerBeat * REFERENCE_SPEED);
+    }
+
+    /**
+     * Restores the playback tempo and speed to the project settings, undoing any Fxx changes.
+     */
+    resetPlaybackTiming() {
+        this.playbackBpm = this.bpm;
+        this.playbackSpeed = this.speed;
+    }
+
+    /**
+     * Applies any Fxx (set speed/tempo) commands in a row. Runs before the row is played
+     * so the new timing already applies to that row's ticks.
+     * @param {Array<object>} stepData - The row's cells.
+     */
+    applyTimingCommands(stepData) {
+        stepData.forEach(trackCell => {
+            const effect = parseEffectCommand(trackCell.effectCmd, trackCell.effectVal);
+            if (!effect || effect.command !== EFFECT.SET_SPEED_TEMPO || effect.param === 0) return;
+            if (effect.param < SPEED_TEMPO_THRESHOLD) {
+                this.playbackSpeed = effect.param;
+            } else {
+                this.playbackBpm = effect.param;
+            }
+        });
     }
 
     /**
@@ -212,104 +547,536 @@ class AudioEngine {
 
             this.nextNoteTime += this.calculateStepDuration();
 
-            this.currentStep++;
-            if (this.currentStep >= this.maxSteps) {
-                this.currentStep = 0;
-            }
+            this.advanceStep();
             if (this.onStepChangeCallback) {
-                this.onStepChangeCallback(this.currentStep);
+                this.onStepChangeCallback(this.currentStep, this.currentOrderIndex, this.getCurrentPatternIndex());
             }
         }
         this.timerID = setTimeout(() => this.scheduler(), this.scheduleAheadTime * 1000 / 2);
     }
 
     /**
-     * Plays data for a given step in the sequence.
+     * Moves to the next row, continuing with the next order list entry (and wrapping
+     * back to the start of the song) at the end of a pattern.
+     */
+    advanceStep() {
+        this.currentStep++;
+        if (this.currentStep >= this.getCurrentPatternLength()) {
+            this.currentStep = 0;
+            if (this.song) {
+                this.currentOrderIndex = (this.currentOrderIndex + 1) % this.song.orderList.length;
+            }
+        }
+    }
+
+    /**
+     * Walks through the whole song from the start, either scheduling every row or only
+     * following its timing commands.
+     * @param {number} loops - How many times to play through the order list.
+     * @param {boolean} scheduleRows - True to schedule notes and effects, false to only measure.
+     * @returns {number} The time at which the last row ends, relative to time 0.
+     */
+    _runSong(loops, scheduleRows) {
+        this.currentStep = 0;
+        this.currentOrderIndex = 0;
+        this.resetPlaybackTiming();
+
+        const rowsPerLoop = this.song.orderList.reduce((sum, patternIndex) => sum + this.song.getPatternLength(patternIndex), 0);
+        let time = 0;
+        for (let row = 0; row < rowsPerLoop * loops; row++) {
+            if (scheduleRows) {
+                this.playStepData(this.currentStep, time);
+            } else {
+                this.applyTimingCommands(this.getStepData(this.currentStep));
+            }
+            time += this.calculateStepDuration();
+            this.advanceStep();
+        }
+        return time;
+    }
+
+    /**
+     * Calculates how long the song plays for, following any Fxx speed/tempo changes.
+     * @param {number} [loops=1] - How many times to play through the order list.
+     * @returns {number} Duration in seconds.
+     */
+    measureSongDuration(loops = 1) {
+        if (!this.song) return 0;
+        const duration = this._runSong(loops, false);
+        this.currentStep = 0;
+        this.currentOrderIndex = 0;
+        this.resetPlaybackTiming();
+        return duration;
+    }
+
+    /**
+     * Copies the song, instruments and timing settings of another engine, so this one plays the same music.
+     * @param {AudioEngine} source - The engine to copy from.
+     */
+    _copySettingsFrom(source) {
+        this.bpm = source.bpm;
+        this.rowsPerBeat = source.rowsPerBeat;
+        this.speed = source.speed;
+        this.resetPlaybackTiming();
+        this.defaultInstrument = source.defaultInstrument;
+        this.instruments = new Map(source.instruments);
+        this.sampleBuffers = source.sampleBuffers; // AudioBuffers are not tied to a context, so the cache is shared
+        this.arpeggiatorEnabled = source.arpeggiatorEnabled;
+        this.bitcrusherEnabled = source.bitcrusherEnabled;
+        this.masterBitcrusherSettings = { ...source.masterBitcrusherSettings };
+        this.busSettings = source.getBusData();
+        this.chip = source.chip;
+        this.tuning = source.tuning;
+        this.song = source.song;
+    }
+
+    /**
+     * Renders the song offline by running the sequencer against an OfflineAudioContext.
+     * Uses a separate engine instance, so live playback is unaffected, and the same
+     * playStepData()/scheduleNote() path as live playback, so the result matches what is heard.
+     * @param {object} [options] - Render options.
+     * @param {number} [options.loops=1] - How many times to play through the order list.
+     * @param {number} [options.fadeOutTime=2] - Seconds after the last row during which notes are released and the mix fades to silence.
+     * @param {number} [options.sampleRate=SAMPLE_RATE] - Sample rate of the rendered audio.
+     * @param {Array<number>} [options.tracks] - Render only these tracks, ignoring the mixer's mute and solo
+     *                                           settings (volume and pan still apply). Used for stems.
+     * @returns {Promise<AudioBuffer>} The rendered stereo audio.
+     */
+    async renderSong({ loops = 1, fadeOutTime = 2, sampleRate = SAMPLE_RATE, tracks = null } = {}) {
+        if (!this.song) {
+            throw new Error("AudioEngine.renderSong: No song set.");
+        }
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) {
+            throw new Error("AudioEngine.renderSong: OfflineAudioContext is not supported in this browser.");
+        }
+
+        const renderer = new AudioEngine();
+        renderer._copySettingsFrom(this);
+        const songDuration = renderer.measureSongDuration(loops);
+        const tail = Math.max(0, fadeOutTime);
+        const context = new OfflineContext(2, Math.ceil((songDuration + tail) * sampleRate), sampleRate);
+
+        if (!renderer.init(context)) {
+            throw new Error("AudioEngine.renderSong: Failed to initialize the offline renderer.");
+        }
+        await renderer.effectProcessorsReady; // Worklet effects must be loaded before notes are scheduled
+        const masterVolume = this.masterGain ? this.masterGain.gain.value : 0.7;
+        renderer.masterGain.gain.setValueAtTime(masterVolume, 0);
+        const mixerData = this.getMixerData(this.song.numTracks);
+        if (tracks) {
+            mixerData.forEach((settings, trackIndex) => {
+                settings.mute = !tracks.includes(trackIndex);
+                settings.solo = false;
+            });
+        }
+        renderer.loadMixerData(mixerData);
+
+        const endTime = renderer._runSong(loops, true);
+        renderer.releaseAllNotes(endTime);
+        if (tail > 0) {
+            renderer.masterGain.gain.setValueAtTime(masterVolume, endTime);
+            renderer.masterGain.gain.linearRampToValueAtTime(0, endTime + tail);
+        }
+
+        console.log(`AudioEngine: Rendering ${(songDuration + tail).toFixed(2)}s of audio at ${sampleRate} Hz...`);
+        return context.startRendering();
+    }
+
+    /**
+     * Returns the pattern number at the current order list position.
+     * @returns {number} The pattern number, or -1 if no song is set.
+     */
+    getCurrentPatternIndex() {
+        return this.song ? this.song.getPatternIndexAtOrder(this.currentOrderIndex) : -1;
+    }
+
+    /**
+     * Returns the row count of the pattern being played.
+     * @returns {number} Number of rows.
+     */
+    getCurrentPatternLength() {
+        if (this.song) {
+            return this.song.getPatternLength(this.getCurrentPatternIndex());
+        }
+        return this.maxSteps;
+    }
+
+    /**
+     * Returns the cells of a row in the pattern being played.
+     * @param {number} step - The row index.
+     * @returns {Array<object>} The row's cells, one per track.
+     */
+    getStepData(step) {
+        if (this.song) {
+            const pattern = this.song.getPattern(this.getCurrentPatternIndex());
+            return (pattern && pattern[step]) || [];
+        }
+        return this.trackerGrid ? this.trackerGrid.getStepData(step) : [];
+    }
+
+    /**
+     * Plays data for a given step of the pattern at the current order list position.
      * @param {number} step - The current step number (e.g., 0-15).
      * @param {number} time - The AudioContext time to schedule notes for this step.
      */
     playStepData(step, time) {
-        if (!this.trackerGrid) {
-            console.warn("AudioEngine.playStepData: TrackerGrid not set.");
+        if (!this.song && !this.trackerGrid) {
+            console.warn("AudioEngine.playStepData: Song or TrackerGrid not set.");
             return;
         }
-        const stepData = this.trackerGrid.getStepData(step);
+        const stepData = this.getStepData(step);
         if (!stepData || stepData.length === 0) {
             // console.log(`AudioEngine.playStepData: No data for step ${step}`);
             return;
         }
 
-        // const noteDuration = 0.1; // This is now this.noteDuration, set in constructor
+        this.applyTimingCommands(stepData);
+        const tickDuration = this.calculateTickDuration();
 
         stepData.forEach((trackCell, trackIndex) => {
-            const frequency = this.parseNoteString(trackCell.note);
+            const voice = this.getVoice(trackIndex);
+            let effect = parseEffectCommand(trackCell.effectCmd, trackCell.effectVal);
+            if (effect && !isEffectAvailable(voice.channel, effect.command)) {
+                effect = null; // Not available on the track's chip channel
+            }
+            const noteNumber = isPlayableNote(trackCell.note) ? trackCell.note : null;
+            const volume = parseVolumeColumn(trackCell.volume);
+            const velocity = volume === null ? DEFAULT_VELOCITY : volume / MAX_CHANNEL_VOLUME;
+            const isDetune = Boolean(effect && effect.command === EFFECT.EXTENDED && effect.subCommand === EXTENDED_EFFECT.DETUNE);
+            const detune = isDetune ? (effect.param >= 8 ? effect.param - 16 : effect.param) * DETUNE_STEP_CENTS : 0;
 
-            if (frequency) { // Check if frequency is not null (i.e., valid note string)
-                const noteInfo = {
-                    pitch: frequency,
-                    velocity: 0.5 // Default velocity, could be from grid later
-                };
+            let noteTime = time;
+            let skipNote = false;
+            if (effect && effect.command === EFFECT.EXTENDED && effect.subCommand === EXTENDED_EFFECT.NOTE_DELAY) {
+                // A delay longer than the row means the note never sounds
+                skipNote = effect.param >= this.playbackSpeed;
+                noteTime = time + effect.param * tickDuration;
+            }
+
+            if (noteNumber !== null) {
+                // A note without an instrument number keeps using the track's current instrument
                 const instrumentId = trackCell.instrument;
-                const activeInstrument = (instrumentId && instrumentId !== '--') ? this.getInstrument(instrumentId) : this.defaultInstrument;
-                this.scheduleNote(noteInfo, time, this.noteDuration, activeInstrument);
+                const rowInstrument = (instrumentId && instrumentId !== '--')
+                    ? this.getInstrument(instrumentId)
+                    : (voice.instrument || this.defaultInstrument);
+                const frequency = this.getNoteFrequency(noteNumber, rowInstrument, detune);
+                if (effect && effect.command === EFFECT.TONE_PORTAMENTO && voice.isHeld) {
+                    // 3xx glides the playing note toward the new one instead of retriggering
+                    voice.portamentoTarget = frequency;
+                    voice.detune = detune;
+                    if (volume !== null) voice.setVelocity(velocity, time);
+                } else if (!skipNote) {
+                    const noteInfo = {
+                        pitch: voice.quantizePitch(frequency),
+                        velocity,
+                        volumeLevels: voice.channel ? voice.channel.volumeLevels : null,
+                    };
+                    // A channel that only plays samples stays silent for other instruments
+                    const activeInstrument = fitInstrumentToChannel(rowInstrument, voice.channel);
+                    const destination = activeInstrument ? voice.getEffectsInput(activeInstrument) : null;
+                    const note = activeInstrument ? this.scheduleNote(noteInfo, noteTime, null, activeInstrument, destination) : null;
+                    if (note) {
+                        voice.start(note, frequency, activeInstrument, noteTime, noteNumber, detune); // Replaces the previous note
+                    }
+                }
+            } else if (trackCell.note === NOTE_OFF && !skipNote) {
+                voice.release(noteTime);
+            } else if (trackCell.note === NOTE_CUT && !skipNote) {
+                voice.cut(noteTime);
+            } else {
+                if (isDetune && voice.hasNote) {
+                    // E5x on its own retunes the playing note, keeping any pitch reached by slides and
+                    // the glide of an unfinished portamento
+                    voice.retune(detune);
+                    voice.setPitch(voice.frequency, time);
+                }
+                if (volume !== null) {
+                    // A volume on its own changes the volume of the playing note
+                    voice.setVelocity(velocity, time);
+                }
+            }
+
+            if (effect) {
+                this.applyTrackEffect(voice, effect, time, tickDuration);
             }
+            const macroPitch = this.applyInstrumentMacros(voice, time, tickDuration);
+            this.applyPitchModulation(voice, effect, time, tickDuration, macroPitch);
         });
     }
 
     /**
-     * Parses a note string (e.g., "C-4", "F#-3") into a frequency.
-     * @param {string} noteString - The note string to parse.
-     * @returns {number|null} The frequency in Hz, or null if parsing fails.
+     * Returns the voice for a track, creating it on first use.
+     * @param {number} trackIndex - The track index.
+     * @returns {Voice} The track's voice.
      */
-    parseNoteString(noteString) {
-        if (!noteString || typeof noteString !== 'string' || noteString.trim() === '---') {
-            return null;
+    getVoice(trackIndex) {
+        if (!this.voices[trackIndex]) {
+            const channel = getChipChannel(CHIP_PROFILES[this.chip], trackIndex);
+            this.voices[trackIndex] = new Voice(this.audioContext, this.getChannelStrip(trackIndex).input, channel);
         }
+        return this.voices[trackIndex];
+    }
 
-        const upperNoteString = noteString.toUpperCase().trim();
-        // Expects format like "C-4", "F#-3", "A#-5"
-        const match = upperNoteString.match(/^([A-G])([#]?)-([0-9])$/);
+    /**
+     * Releases the held note on every track.
+     * @param {number} time - The AudioContext time of the note-off.
+     */
+    releaseAllNotes(time) {
+        this.voices.forEach(voice => {
+            if (voice) voice.release(time);
+        });
+    }
 
-        if (!match) {
-            // console.warn(`AudioEngine.parseNoteString: Invalid note format: "${noteString}". Expected format like "C-4" or "F#-3".`);
-            return null;
+    /**
+     * Cuts every note and discards all voices, so playback restarts from a clean channel state.
+     */
+    resetVoices() {
+        const now = this.audioContext ? this.audioContext.currentTime : 0;
+        this.voices.forEach(voice => {
+            if (voice) voice.dispose(now);
+        });
+        this.voices = [];
+    }
+
+    /**
+     * Plays a note as it is entered in the grid, the way the track would play it: through the track's chip
+     * channel and mixer strip, then released after a short time. Playback voices are not affected, so
+     * notes can be auditioned while the song plays. The instrument's effect chain is left out.
+     * @param {number} noteNumber - The note number (C-4 = 60).
+     * @param {string} instrumentId - The instrument number from the grid's Ins column, or "--" for the default instrument.
+     * @param {number} trackIndex - The track the note was entered on.
+     */
+    auditionNote(noteNumber, instrumentId, trackIndex) {
+        if (!this.audioContext || this.audioContext.state === 'closed' || !isPlayableNote(noteNumber)) return;
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(e => console.error("Error resuming AudioContext:", e));
         }
+        const instrument = (instrumentId && instrumentId !== '--') ? this.getInstrument(instrumentId) : this.defaultInstrument;
+        const channel = getChipChannel(CHIP_PROFILES[this.chip], trackIndex);
+        const activeInstrument = fitInstrumentToChannel(instrument, channel);
+        if (!activeInstrument) return; // A sample-only channel stays silent for other instruments
+        const frequency = this.getNoteFrequency(noteNumber, instrument);
+        const noteInfo = {
+            pitch: channel && channel.quantizePitch ? channel.quantizePitch(frequency) : frequency,
+            velocity: DEFAULT_VELOCITY,
+            volumeLevels: channel ? channel.volumeLevels : null,
+        };
+        this.scheduleNote(noteInfo, this.audioContext.currentTime, AUDITION_DURATION, activeInstrument, this.getChannelStrip(trackIndex).input);
+    }
 
-        const baseNote = match[1];
-        const accidental = match[2]; // "#" or ""
-        const octave = parseInt(match[3]);
-        const noteName = baseNote + accidental;
+    /**
+     * Resolves an effect parameter, falling back to the last non-zero value used with the same command.
+     * @param {Voice} voice - The track's voice.
+     * @param {string} key - Memory slot name.
+     * @param {number} value - The parameter from the pattern.
+     * @returns {number} The value to use.
+     */
+    _effectMemory(voice, key, value) {
+        if (value) {
+            voice.effectMemory[key] = value;
+            return value;
+        }
+        return voice.effectMemory[key] || 0;
+    }
 
-        const noteValues = { // Semitones from C
-            'C': 0, 'C#': 1,
-            'D': 2, 'D#': 3,
-            'E': 4,
-            'F': 5, 'F#': 6,
-            'G': 7, 'G#': 8,
-            'A': 9, 'A#': 10,
-            'B': 11
-        };
+    /**
+     * Applies one row's volume, duty and extended effect commands to a track's voice, scheduling AudioParam
+     * automation for every tick. Pitch commands are left to applyPitchModulation().
+     * Follows the usual tracker convention: continuous effects (slides, vibrato) act on ticks 1..n-1,
+     * while tick 0 is reserved for triggering the row.
+     * @param {Voice} voice - The track's voice.
+     * @param {object} effect - The parsed effect from parseEffectCommand().
+     * @param {number} rowTime - The AudioContext time at which the row starts.
+     * @param {number} tickDuration - The duration of one tick in seconds.
+     */
+    applyTrackEffect(voice, effect, rowTime, tickDuration) {
+        const ticks = this.playbackSpeed;
 
-        if (!noteValues.hasOwnProperty(noteName)) {
-            console.warn(`AudioEngine.parseNoteString: Unknown note name: "${noteName}" in "${noteString}"`);
-            return null;
+        switch (effect.command) {
+            case EFFECT.SET_VOLUME:
+                voice.volume = Math.min(effect.param, MAX_CHANNEL_VOLUME);
+                voice.applyVolume(rowTime);
+                return;
+            case EFFECT.VOLUME_SLIDE: {
+                const param = this._effectMemory(voice, 'volumeSlide', effect.param);
+                const up = param >> 4;
+                const down = param & 0x0F;
+                for (let tick = 1; tick < ticks; tick++) {
+                    voice.volume = up ? Math.min(MAX_CHANNEL_VOLUME, voice.volume + up) : Math.max(0, voice.volume - down);
+                    voice.applyVolume(rowTime + tick * tickDuration);
+                }
+                return;
+            }
+            case EFFECT.EXTENDED:
+                if (effect.subCommand === EXTENDED_EFFECT.NOTE_CUT && effect.param < ticks) {
+                    voice.volume = 0;
+                    voice.applyVolume(rowTime + effect.param * tickDuration);
+                }
+                return;
+            case EFFECT.SET_DUTY:
+                if (effect.param < PULSE_DUTY_CYCLES.length) {
+                    voice.setDuty(effect.param, rowTime);
+                }
+                return;
+            case EFFECT.SET_SPEED_TEMPO:
+                return; // Already applied to the whole row by applyTimingCommands()
+            default:
+                return; // Pitch commands are scheduled by applyPitchModulation(), together with the instrument's arpeggiator
         }
+    }
 
-        const semitone = noteValues[noteName];
+    /**
+     * Steps the instrument macros of a track's note through every tick of a row, scheduling the volume
+     * and duty macros. Macros run on after the note-off from their release point.
+     * @param {Voice} voice - The track's voice.
+     * @param {number} rowTime - The AudioContext time at which the row starts.
+     * @param {number} tickDuration - The duration of one tick in seconds.
+     * @returns {Array<number>|null} The arpeggio and pitch macro offset for each tick in semitones,
+     *          or null if the instrument has no pitch macros.
+     */
+    applyInstrumentMacros(voice, rowTime, tickDuration) {
+        if (!voice.hasNote || !voice.macros) return null;
 
-        // MIDI note number calculation: C4 = 60.
-        // C0 = 12, C1 = 24, ..., C4 = 60, C5 = 72
-        const midiNote = semitone + (octave * 12) + 12;
+        const note = voice.note;
+        const pitchOffsets = voice.macros.hasPitch ? [] : null;
+        for (let tick = 0; tick < this.playbackSpeed; tick++) {
+            const tickTime = rowTime + tick * tickDuration;
+            if (tickTime < note.startTime) { // Note delayed by EDx has not started yet
+                if (pitchOffsets) pitchOffsets.push(0);
+                continue;
+            }
+            const step = voice.macros.tick(note.releasedAt !== null && tickTime >= note.releasedAt);
+            if (step.volume !== undefined) voice.setMacroVolume(step.volume, tickTime);
+            if (step.duty !== undefined && step.duty < PULSE_DUTY_CYCLES.length) voice.setDuty(step.duty, tickTime);
+            if (pitchOffsets) pitchOffsets.push(step.pitchOffset);
+        }
+        return pitchOffsets;
+    }
 
-        if (midiNote < 0 || midiNote > 127) {
-            console.warn(`AudioEngine.parseNoteString: MIDI note ${midiNote} for "${noteString}" is out of typical range 0-127.`);
-            return null;
+    /**
+     * Schedules the pitch of a track's note for every tick of a row, from the row's pitch command (if any),
+     * the arpeggiator of the note's instrument and its arpeggio/pitch macros. The arpeggiator keeps stepping
+     * across rows for as long as the note sounds, and is replaced by a 0xy command on rows that have one.
+     * @param {Voice} voice - The track's voice.
+     * @param {object|null} effect - The row's parsed effect from parseEffectCommand(), if any.
+     * @param {number} rowTime - The AudioContext time at which the row starts.
+     * @param {number} tickDuration - The duration of one tick in seconds.
+     * @param {Array<number>|null} [macroPitch=null] - Per-tick semitone offsets from applyInstrumentMacros().
+     */
+    applyPitchModulation(voice, effect, rowTime, tickDuration, macroPitch = null) {
+        if (!voice.hasNote) return; // Pitch effects act on a playing note
+
+        const pitchEffect = effect && PITCH_EFFECTS.includes(effect.command) ? effect : null;
+        const arpeggiator = this.arpeggiatorEnabled && voice.instrument ? voice.instrument.arpeggiator : null;
+        const arpeggio = arpeggiator && arpeggiator.enabled && !(pitchEffect && pitchEffect.command === EFFECT.ARPEGGIO)
+            ? buildArpeggioSequence(arpeggiator)
+            : null;
+        if (!pitchEffect && !arpeggio && !macroPitch) return;
+
+        const ticks = this.playbackSpeed;
+        const semitoneRatio = (semitones) => Math.pow(2, semitones / 12);
+        // Arpeggio offsets are scale steps, so they follow the project's temperament
+        const soundingNote = voice.noteNumber + (voice.instrument.transpose || 0);
+        const intervalRatio = (semitones) => this.tuning.intervalRatio(soundingNote, semitones);
+        let modulatesPitch = false; // Arpeggio and vibrato are offsets that do not persist past the row
+
+        for (let tick = 0; tick < ticks; tick++) {
+            const tickTime = rowTime + tick * tickDuration;
+            let outputFrequency = voice.frequency;
+            let pitchChanged = true; // False on ticks where the command leaves the pitch alone
+
+            switch (pitchEffect ? pitchEffect.command : null) {
+                case EFFECT.ARPEGGIO: {
+                    const offsets = [0, pitchEffect.x, pitchEffect.y];
+                    outputFrequency = voice.frequency * intervalRatio(offsets[tick % 3]);
+                    modulatesPitch = true;
+                    break;
+                }
+                case EFFECT.SLIDE_UP:
+                case EFFECT.SLIDE_DOWN: {
+                    if (tick === 0) { pitchChanged = false; break; }
+                    const key = pitchEffect.command === EFFECT.SLIDE_UP ? 'slideUp' : 'slideDown';
+                    const speed = this._effectMemory(voice, key, pitchEffect.param) / 16;
+                    const direction = pitchEffect.command === EFFECT.SLIDE_UP ? 1 : -1;
+                    voice.frequency = Math.max(1, Math.min(20000, voice.frequency * semitoneRatio(direction * speed)));
+                    outputFrequency = voice.frequency;
+                    break;
+                }
+                case EFFECT.TONE_PORTAMENTO: {
+                    if (tick === 0 || !voice.portamentoTarget) { pitchChanged = false; break; }
+                    const speed = this._effectMemory(voice, 'portamento', pitchEffect.param) / 16;
+                    const target = voice.portamentoTarget;
+                    voice.frequency = voice.frequency < target
+                        ? Math.min(target, voice.frequency * semitoneRatio(speed))
+                        : Math.max(target, voice.frequency * semitoneRatio(-speed));
+                    outputFrequency = voice.frequency;
+                    break;
+                }
+                case EFFECT.VIBRATO: {
+                    const speed = this._effectMemory(voice, 'vibratoSpeed', pitchEffect.x);
+                    const depth = this._effectMemory(voice, 'vibratoDepth', pitchEffect.y) / 8;
+                    if (tick > 0) voice.vibratoPhase = (voice.vibratoPhase + speed) % 64;
+                    const offset = depth * Math.sin(voice.vibratoPhase / 64 * 2 * Math.PI);
+                    outputFrequency = voice.frequency * semitoneRatio(offset);
+                    modulatesPitch = true;
+                    break;
+                }
+                default:
+                    break; // No pitch command: only the arpeggiator moves the pitch
+            }
+
+            if (arpeggio || macroPitch) {
+                if (tickTime < voice.note.startTime) continue; // Note delayed by EDx has not started yet
+                if (arpeggio) {
+                    outputFrequency *= intervalRatio(arpeggioOffsetAt(arpeggio, voice.arpeggioTick, arpeggiator.rate));
+                    voice.arpeggioTick++;
+                }
+                if (macroPitch) outputFrequency *= intervalRatio(macroPitch[tick]);
+            } else if (!pitchChanged) {
+                continue;
+            }
+            voice.setPitch(outputFrequency, tickTime);
         }
 
-        // Standard reference: A4 = 440 Hz (MIDI note 69)
-        const frequency = 440 * Math.pow(2, (midiNote - 69) / 12);
-        // console.log(`Parsed "${noteString}" to MIDI: ${midiNote}, Freq: ${frequency.toFixed(2)} Hz`);
-        return frequency;
+        if (modulatesPitch && !arpeggio && !macroPitch) {
+            voice.setPitch(voice.frequency, rowTime + ticks * tickDuration);
+        }
+    }
+
+    /**
+     * Parses a note string (e.g., "C-4", "F#3", "Db4") into a note number.
+     * @param {string} noteString - The note string to parse (see parseNote()).
+     * @returns {number|null} The MIDI note number (C-4 = 60), or null if the string is not a playable note.
+     */
+    parseNoteNumber(noteString) {
+        const noteNumber = parseNote(noteString);
+        return isPlayableNote(noteNumber) ? noteNumber : null;
+    }
+
+    /**
+     * Parses a note string (e.g., "C-4", "F#3") into a frequency in the project's tuning.
+     * @param {string} noteString - The note string to parse.
+     * @returns {number|null} The frequency in Hz, or null if parsing fails.
+     */
+    parseNoteString(noteString) {
+        const noteNumber = this.parseNoteNumber(noteString);
+        return noteNumber === null ? null : this.getNoteFrequency(noteNumber);
+    }
+
+    /**
+     * Returns the frequency an instrument plays a note at: the project tuning, shifted by the instrument's
+     * transposition and fine-tune and by any per-note detune. Live playback and rendering both get
+     * every note pitch from here.
+     * @param {number} noteNumber - The note number as entered in the grid (C-4 = 60).
+     * @param {Instrument} [instrument] - The instrument playing the note.
+     * @param {number} [detune=0] - Per-note detune in cents (E5x).
+     * @returns {number} The frequency in Hz.
+     */
+    getNoteFrequency(noteNumber, instrument = null, detune = 0) {
+        const transpose = instrument ? instrument.transpose || 0 : 0;
+        const fineTune = instrument ? instrument.fineTune || 0 : 0;
+        return this.tuning.frequencyOf(noteNumber + transpose, fineTune + detune);
     }
 
 
@@ -324,7 +1091,10 @@ class AudioEngine {
             this.onStepChangeCallback(-1); // Signal to clear playing row highlight
         }
         this.currentStep = 0;
+        this.currentOrderIndex = 0;
         this.nextNoteTime = 0.0;
+        this.resetVoices();
+        this.resetPlaybackTiming();
         console.log("Playback stopped, Web Audio scheduler timeout cleared.");
         return true;
     }
@@ -339,6 +1109,7 @@ class AudioEngine {
         }
         clearTimeout(this.timerID);
         this.isPaused = true;
+        this.releaseAllNotes(Math.max(this.audioContext.currentTime, this.nextNoteTime)); // Held notes would otherwise ring through the pause
         // this.isPlaying remains true, as playback is active but paused
         console.log("Playback paused.");
         return true;
@@ -356,6 +1127,39 @@ class AudioEngine {
         return this.audioContext.currentTime;
     }
 
+    /**
+     * Sets the chip the project targets. Voices are rebuilt on the new chip's channels.
+     * @param {string} chip - A key of CHIP_PROFILES.
+     * @returns {boolean} False if the chip is unknown.
+     */
+    setChip(chip) {
+        if (!CHIP_PROFILES[chip]) {
+            console.warn(`AudioEngine.setChip: Unknown chip "${chip}".`);
+            return false;
+        }
+        this.chip = chip;
+        this.resetVoices();
+        console.log(`AudioEngine: Target chip set to ${CHIP_PROFILES[chip].label}.`);
+        return true;
+    }
+
+    /**
+     * Sets the project's tuning. Takes effect from the next note.
+     * @param {object} [settings] - Tuning settings (see Tuning); omitted settings use standard tuning.
+     */
+    setTuning(settings) {
+        this.tuning = new Tuning(settings || {});
+        console.log(`AudioEngine: Tuning set to A-4 = ${this.tuning.referencePitch} Hz, ${this.tuning.temperament} temperament.`);
+    }
+
+    /**
+     * Returns the project's tuning settings for saving.
+     * @returns {object} Plain data for setTuning().
+     */
+    getTuningData() {
+        return this.tuning.toData();
+    }
+
     /**
      * Sets the master volume.
      * @param {number} volumeLevel - Volume level (0.0 to 1.0).
@@ -370,6 +1174,231 @@ class AudioEngine {
         console.log(`Master volume set to ${newVolume}`);
     }
 
+    /**
+     * Turns the instrument arpeggiator feature on or off (config.enableArpeggiator).
+     * @param {boolean} enabled - Whether instrument arpeggiators are applied.
+     */
+    setArpeggiatorEnabled(enabled) {
+        this.arpeggiatorEnabled = Boolean(enabled);
+    }
+
+    /**
+     * Turns the bitcrusher feature on or off (config.enableBitcrusher). While off, instrument and
+     * master bitcrusher settings are kept but not applied.
+     * @param {boolean} enabled - Whether bitcrushers may be used.
+     */
+    setBitcrusherEnabled(enabled) {
+        this.bitcrusherEnabled = Boolean(enabled);
+        this._updateMasterBitcrusher();
+    }
+
+    /**
+     * Sets the bitcrusher on the master bus.
+     * @param {object} settings - The master bitcrusher settings.
+     * @param {boolean} settings.enabled - Whether the master bus is crushed.
+     * @param {number} settings.bitDepth - Bits per sample (1 to 16).
+     * @param {number} settings.sampleRate - The reduced sample rate in Hz.
+     */
+    setMasterBitcrusher({ enabled = false, bitDepth = 8, sampleRate = 11025 } = {}) {
+        this.masterBitcrusherSettings = { enabled: Boolean(enabled), bitDepth, sampleRate };
+        this._updateMasterBitcrusher();
+    }
+
+    /**
+     * Returns the master bitcrusher settings for saving.
+     * @returns {{enabled: boolean, bitDepth: number, sampleRate: number}}
+     */
+    getMasterBitcrusherData() {
+        return { ...this.masterBitcrusherSettings };
+    }
+
+    /**
+     * Inserts, updates or removes the master bitcrusher between the master gain and the destination.
+     */
+    _updateMasterBitcrusher() {
+        if (!this.audioContext || !this.masterGain) return;
+        const { enabled, bitDepth, sampleRate } = this.masterBitcrusherSettings;
+        const active = this.bitcrusherEnabled && enabled;
+
+        if (this.masterBitcrusher) {
+            this.masterGain.disconnect(this.masterBitcrusher.input);
+            this.masterBitcrusher.dispose();
+            this.masterBitcrusher = null;
+        } else {
+            this.masterGain.disconnect(this.audioContext.destination);
+        }
+
+        if (active) {
+            this.masterBitcrusher = createBitcrusher(this.audioContext, bitDepth, sampleRate);
+            this.masterGain.connect(this.masterBitcrusher.input);
+            this.masterBitcrusher.output.connect(this.audioContext.destination);
+        } else {
+            this.masterGain.connect(this.audioContext.destination);
+        }
+    }
+
+    /**
+     * Sets the master insert chain, which processes the whole mix (send returns included) before the master gain.
+     * @param {Array<object>} effects - The effect chain, in signal order (see normalizeEffectSettings()).
+     */
+    setMasterEffects(effects) {
+        this.busSettings.masterEffects = (Array.isArray(effects) ? effects : []).map(normalizeEffectSettings).filter(effect => effect !== null);
+        if (this.masterBus) this.masterBus.setEffects(this.busSettings.masterEffects);
+    }
+
+    /**
+     * Sets the effect chain of a send bus. Send buses return only what their effects output,
+     * so a delay there adds echoes to the track's dry signal.
+     * @param {number} sendIndex - The send bus index (0 to SEND_BUS_COUNT - 1).
+     * @param {Array<object>} effects - The effect chain, in signal order.
+     */
+    setSendBusEffects(sendIndex, effects) {
+        const send = this.busSettings.sends[sendIndex];
+        if (!send) return;
+        send.effects = (Array.isArray(effects) ? effects : []).map(normalizeEffectSettings).filter(effect => effect !== null);
+        if (this.sendBuses[sendIndex]) this.sendBuses[sendIndex].setEffects(send.effects);
+    }
+
+    /**
+     * Sets the return level of a send bus.
+     * @param {number} sendIndex - The send bus index (0 to SEND_BUS_COUNT - 1).
+     * @param {number} level - Return level (0.0 to 1.0).
+     */
+    setSendBusLevel(sendIndex, level) {
+        const send = this.busSettings.sends[sendIndex];
+        if (!send) return;
+        send.level = Math.max(0, Math.min(1, level));
+        if (this.sendBuses[sendIndex]) this.sendBuses[sendIndex].setLevel(send.level);
+    }
+
+    /**
+     * Returns the master insert chain and send bus settings for saving.
+     * @returns {{masterEffects: Array<object>, sends: Array<{effects: Array<object>, level: number}>}}
+     */
+    getBusData() {
+        return JSON.parse(JSON.stringify(this.busSettings));
+    }
+
+    /**
+     * Applies saved master insert chain and send bus settings. Missing send buses get their default effects.
+     * @param {object} [busData] - Settings from getBusData().
+     */
+    loadBusData(busData) {
+        const data = busData || {};
+        this.setMasterEffects(data.masterEffects);
+        for (let sendIndex = 0; sendIndex < SEND_BUS_COUNT; sendIndex++) {
+            const send = (data.sends && data.sends[sendIndex]) || { effects: DEFAULT_SEND_EFFECTS[sendIndex], level: 1 };
+            this.setSendBusEffects(sendIndex, send.effects);
+            this.setSendBusLevel(sendIndex, send.level !== undefined ? send.level : 1);
+        }
+    }
+
+    /**
+     * Returns the mixer channel strip for a track, creating it on first use.
+     * @param {number} trackIndex - The track index.
+     * @returns {ChannelStrip} The track's channel strip.
+     */
+    getChannelStrip(trackIndex) {
+        if (!this.channelStrips[trackIndex]) {
+            this.channelStrips[trackIndex] = new ChannelStrip(this.audioContext, this.masterBus.input, this.sendBuses.map(bus => bus.input));
+            this._updateChannelGates();
+        }
+        return this.channelStrips[trackIndex];
+    }
+
+    /**
+     * Sets a track's mixer volume.
+     * @param {number} trackIndex - The track index.
+     * @param {number} volumeLevel - Volume level (0.0 to 1.0).
+     */
+    setTrackVolume(trackIndex, volumeLevel) {
+        this.getChannelStrip(trackIndex).setVolume(volumeLevel);
+    }
+
+    /**
+     * Sets a track's stereo pan.
+     * @param {number} trackIndex - The track index.
+     * @param {number} pan - Pan position (-1.0 = left, 0 = center, 1.0 = right).
+     */
+    setTrackPan(trackIndex, pan) {
+        this.getChannelStrip(trackIndex).setPan(pan);
+    }
+
+    /**
+     * Sets how much of a track is sent to a send bus.
+     * @param {number} trackIndex - The track index.
+     * @param {number} sendIndex - The send bus index (0 to SEND_BUS_COUNT - 1).
+     * @param {number} level - Send level (0.0 to 1.0).
+     */
+    setTrackSend(trackIndex, sendIndex, level) {
+        this.getChannelStrip(trackIndex).setSendLevel(sendIndex, level);
+    }
+
+    /**
+     * Mutes or unmutes a track.
+     * @param {number} trackIndex - The track index.
+     * @param {boolean} muted - Whether the track is muted.
+     */
+    setTrackMute(trackIndex, muted) {
+        this.getChannelStrip(trackIndex).muted = Boolean(muted);
+        this._updateChannelGates();
+    }
+
+    /**
+     * Solos or unsolos a track. While any track is soloed, only soloed tracks are heard.
+     * @param {number} trackIndex - The track index.
+     * @param {boolean} soloed - Whether the track is soloed.
+     */
+    setTrackSolo(trackIndex, soloed) {
+        this.getChannelStrip(trackIndex).soloed = Boolean(soloed);
+        this._updateChannelGates();
+    }
+
+    /**
+     * Opens or closes every channel strip's gate from the current mute and solo flags.
+     */
+    _updateChannelGates() {
+        const anySoloed = this.channelStrips.some(strip => strip && strip.soloed);
+        this.channelStrips.forEach(strip => {
+            if (strip) strip.setAudible(anySoloed ? strip.soloed : !strip.muted);
+        });
+    }
+
+    /**
+     * Returns the mixer settings of every track for saving.
+     * @param {number} numTracks - Number of tracks to include.
+     * @returns {Array<object>} One {volume, pan, mute, solo, sends} object per track.
+     */
+    getMixerData(numTracks) {
+        const mixerData = [];
+        for (let i = 0; i < numTracks; i++) {
+            mixerData.push(this.getChannelStrip(i).toData());
+        }
+        return mixerData;
+    }
+
+    /**
+     * Applies saved mixer settings. Tracks missing from the data are reset to defaults.
+     * @param {Array<object>} mixerData - One {volume, pan, mute, solo, sends} object per track.
+     */
+    loadMixerData(mixerData) {
+        const data = Array.isArray(mixerData) ? mixerData : [];
+        const count = Math.max(data.length, this.channelStrips.length);
+        for (let i = 0; i < count; i++) {
+            const settings = data[i] || {};
+            const strip = this.getChannelStrip(i);
+            strip.setVolume(settings.volume !== undefined ? settings.volume : 1);
+            strip.setPan(settings.pan !== undefined ? settings.pan : 0);
+            strip.muted = Boolean(settings.mute);
+            strip.soloed = Boolean(settings.solo);
+            for (let sendIndex = 0; sendIndex < SEND_BUS_COUNT; sendIndex++) {
+                strip.setSendLevel(sendIndex, settings.sends ? settings.sends[sendIndex] || 0 : 0);
+            }
+        }
+        this._updateChannelGates();
+        console.log("AudioEngine: Mixer data loaded.");
+    }
+
     /**
      * Sets the tracker grid instance for the audio engine to use.
      * @param {object} gridInstance - The instance of the TrackerGrid.
@@ -383,13 +1412,28 @@ class AudioEngine {
     }
 
     /**
-     * Loads an instrument configuration into the engine.
-     * @param {object} instrumentObject - The instrument definition.
+     * Sets the song whose order list is followed during playback.
+     * @param {Song} song - The song to play.
+     */
+    setSong(song) {
+        this.song = song;
+        if (this.currentOrderIndex >= (song ? song.orderList.length : 0)) {
+            this.currentOrderIndex = 0;
+            this.currentStep = 0;
+        }
+        console.log("AudioEngine: Song set.");
+    }
+
+    /**
+     * Loads an instrument into the engine, replacing any instrument with the same ID.
+     * @param {object|Instrument} instrumentObject - An Instrument, or instrument settings as saved in a project.
      */
     loadInstrument(instrumentObject) {
         if (instrumentObject && instrumentObject.id) {
-            this.instruments.set(instrumentObject.id, instrumentObject);
-            console.log(`Instrument '${instrumentObject.name || instrumentObject.id}' (ID: ${instrumentObject.id}) loaded.`);
+            const instrument = Instrument.from(instrumentObject);
+            this.instruments.set(instrument.id, instrument);
+            this.voices.forEach(voice => voice.refreshEffectChain(instrument)); // Rebuilds chains whose effects changed
+            console.log(`Instrument '${instrument.name}' (ID: ${instrument.id}) loaded.`);
         } else {
             console.warn('Failed to load instrument: Instrument object or ID is missing.');
         }
@@ -398,12 +1442,20 @@ class AudioEngine {
     /**
      * Retrieves an instrument configuration by its ID.
      * @param {string} instrumentId - The ID of the instrument.
-     * @returns {object} The instrument configuration or the default instrument if not found.
+     * @returns {Instrument} The instrument, or the default instrument if not found.
      */
     getInstrument(instrumentId) {
         return this.instruments.get(instrumentId) || this.defaultInstrument;
     }
 
+    /**
+     * Returns the IDs of the loaded instruments, as entered in the grid's Ins column.
+     * @returns {Array<string>} The instrument IDs.
+     */
+    getInstrumentIds() {
+        return Array.from(this.instruments.keys());
+    }
+
     /**
      * Sets the Beats Per Minute (BPM) for the sequencer.
      * @param {number} newBPM - The new BPM value.
@@ -411,6 +1463,7 @@ class AudioEngine {
     setBPM(newBPM) {
         if (typeof newBPM === 'number' && newBPM > 0) {
             this.bpm = newBPM;
+            this.playbackBpm = newBPM;
             console.log(`AudioEngine: BPM set to ${this.bpm}`);
             // The change will take effect in the scheduler via calculateStepDuration()
         } else {
@@ -418,20 +1471,48 @@ class AudioEngine {
         }
     }
 
+    /**
+     * Sets the speed (ticks per row) for the sequencer.
+     * @param {number} newSpeed - Ticks per row (1-31).
+     */
+    setSpeed(newSpeed) {
+        if (Number.isInteger(newSpeed) && newSpeed > 0 && newSpeed < SPEED_TEMPO_THRESHOLD) {
+            this.speed = newSpeed;
+            this.playbackSpeed = newSpeed;
+            console.log(`AudioEngine: Speed set to ${this.speed}`);
+        } else {
+            console.warn(`AudioEngine.setSpeed: Invalid speed value provided: ${newSpeed}`);
+        }
+    }
+
+    /**
+     * Sets how many rows make up one beat at the reference speed.
+     * @param {number} newRowsPerBeat - Rows per beat (e.g. 4 for 16th-note rows).
+     */
+    setRowsPerBeat(newRowsPerBeat) {
+        if (Number.isInteger(newRowsPerBeat) && newRowsPerBeat > 0) {
+            this.rowsPerBeat = newRowsPerBeat;
+            console.log(`AudioEngine: Rows per beat set to ${this.rowsPerBeat}`);
+        } else {
+            console.warn(`AudioEngine.setRowsPerBeat: Invalid rows per beat value provided: ${newRowsPerBeat}`);
+        }
+    }
+
     /**
      * Sets a callback function to be invoked when the current playback step changes.
-     * @param {function} callback - The function to call. It will receive the current step number.
+     * @param {function} callback - The function to call. It will receive the current step number,
+     *                              the order list position and the pattern number.
      */
     setOnStepChange(callback) {
         this.onStepChangeCallback = callback;
     }
 
     /**
-     * Returns an array of all loaded instrument data objects.
+     * Returns the settings of all loaded instruments, for saving.
      * @returns {Array<object>} Array of instrument data.
      */
     getInstrumentsData() {
-        return Array.from(this.instruments.values());
+        return Array.from(this.instruments.values()).map(instrument => instrument.toData());
     }
 
     /**
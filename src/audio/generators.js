@@ -1,8 +1,110 @@
 /**
  * @file Sound waveform generators for Thunderbird Chiptune Composer.
- * Provides functions to create basic sound sources like sine, square, sawtooth, triangle, and noise.
+ * Provides functions to create basic sound sources like sine, square, sawtooth, triangle, pulse, wavetable, and LFSR noise.
  */
 
+/** Pulse widths available to pulse-wave instruments, as on the NES and Game Boy square channels. */
+export const PULSE_DUTY_CYCLES = [0.125, 0.25, 0.5, 0.75];
+
+// Number of harmonics in a pulse PeriodicWave; the browser band-limits them to the playback pitch
+const PULSE_HARMONICS = 128;
+
+// PeriodicWaves are tied to the context that created them, so they are cached per context and duty
+const pulseWaveCache = new WeakMap();
+
+/**
+ * Returns a PeriodicWave for a pulse wave with the given duty cycle.
+ * Built from the pulse's Fourier series: harmonic n has amplitude 2 * sin(n * PI * duty) / (n * PI).
+ * @param {BaseAudioContext} audioContext - The context the wave will be used in.
+ * @param {number} [duty=0.5] - Fraction of each cycle spent high (0 < duty < 1).
+ * @returns {PeriodicWave} The pulse wave, cached per context and duty.
+ */
+export function getPulseWave(audioContext, duty = 0.5) {
+    if (!audioContext) throw new Error("AudioContext is required.");
+    if (!(duty > 0 && duty < 1)) throw new Error(`Invalid pulse duty cycle: ${duty}`);
+
+    if (!pulseWaveCache.has(audioContext)) pulseWaveCache.set(audioContext, new Map());
+    const waves = pulseWaveCache.get(audioContext);
+    if (!waves.has(duty)) {
+        const real = new Float32Array(PULSE_HARMONICS + 1);
+        const imag = new Float32Array(PULSE_HARMONICS + 1); // All zero: cosine terms only
+        for (let n = 1; n <= PULSE_HARMONICS; n++) {
+            real[n] = 2 * Math.sin(n * Math.PI * duty) / (n * Math.PI);
+        }
+        waves.set(duty, audioContext.createPeriodicWave(real, imag));
+    }
+    return waves.get(duty);
+}
+
+/** Number of samples in a wavetable, as in the Game Boy wave channel. */
+export const WAVETABLE_LENGTH = 32;
+
+/** Highest wavetable sample value (samples are 4-bit, 0-15). */
+export const WAVETABLE_MAX_VALUE = 15;
+
+/**
+ * Builds a wavetable by sampling a function over one cycle.
+ * @param {function(number): number} shape - Maps a phase (0 to 1) to a level (-1 to 1).
+ * @returns {Array<number>} WAVETABLE_LENGTH samples, 0-WAVETABLE_MAX_VALUE.
+ */
+function buildWavetable(shape) {
+    return Array.from({ length: WAVETABLE_LENGTH }, (_, i) =>
+        Math.max(0, Math.min(WAVETABLE_MAX_VALUE, Math.round((shape(i / WAVETABLE_LENGTH) + 1) / 2 * WAVETABLE_MAX_VALUE)))
+    );
+}
+
+/** Preset wavetable shapes offered by the wavetable editor. */
+export const WAVETABLE_PRESETS = Object.freeze({
+    sine: buildWavetable(phase => Math.sin(2 * Math.PI * phase)),
+    triangle: buildWavetable(phase => 1 - 4 * Math.abs(phase - 0.5)),
+    sawtooth: buildWavetable(phase => 2 * phase - 1),
+    square: buildWavetable(phase => (phase < 0.5 ? 1 : -1)),
+    pulse25: buildWavetable(phase => (phase < 0.25 ? 1 : -1)),
+});
+
+// Harmonics in a wavetable PeriodicWave; enough to keep the steps of the 4-bit table audible
+const WAVETABLE_HARMONICS = 256;
+
+// PeriodicWaves for wavetables, cached per context and table contents
+const wavetableWaveCache = new WeakMap();
+
+/**
+ * Returns a PeriodicWave that plays a 4-bit wavetable.
+ * Each sample is held for 1/32 of the cycle, like the hardware, so the coefficients are those of
+ * the stepped waveform rather than a smooth interpolation. Levels are not normalized, so quieter
+ * tables play quieter, and the DC offset of the unsigned samples is dropped.
+ * @param {BaseAudioContext} audioContext - The context the wave will be used in.
+ * @param {Array<number>} table - WAVETABLE_LENGTH samples, 0-WAVETABLE_MAX_VALUE.
+ * @returns {PeriodicWave} The wave, cached per context and table.
+ */
+export function getWavetableWave(audioContext, table) {
+    if (!audioContext) throw new Error("AudioContext is required.");
+    if (!Array.isArray(table) || table.length !== WAVETABLE_LENGTH) {
+        throw new Error(`A wavetable must have ${WAVETABLE_LENGTH} samples.`);
+    }
+
+    if (!wavetableWaveCache.has(audioContext)) wavetableWaveCache.set(audioContext, new Map());
+    const waves = wavetableWaveCache.get(audioContext);
+    const key = table.join(',');
+    if (!waves.has(key)) {
+        const levels = table.map(value => (value - WAVETABLE_MAX_VALUE / 2) / (WAVETABLE_MAX_VALUE / 2));
+        const real = new Float32Array(WAVETABLE_HARMONICS + 1);
+        const imag = new Float32Array(WAVETABLE_HARMONICS + 1);
+        for (let n = 1; n <= WAVETABLE_HARMONICS; n++) {
+            const w = 2 * Math.PI * n / WAVETABLE_LENGTH;
+            let a = 0, b = 0;
+            levels.forEach((level, k) => {
+                a += level * (Math.sin(w * (k + 1)) - Math.sin(w * k));
+                b += level * (Math.cos(w * k) - Math.cos(w * (k + 1)));
+            });
+            real[n] = a / (n * Math.PI);
+            imag[n] = b / (n * Math.PI);
+        }
+        waves.set(key, audioContext.createPeriodicWave(real, imag, { disableNormalization: true }));
+    }
+    return waves.get(key);
+}
+
 /**
  * Creates a GainNode to control the amplitude of a source.
  * @param {AudioContext} audioContext - The AudioContext.
@@ -127,27 +229,121 @@ export function createTriangleWave(audioContext, frequency = 440, startTime, dur
 }
 
 /**
- * Creates a white noise source.
+ * Creates a pulse wave oscillator.
  * @param {AudioContext} audioContext - The AudioContext.
+ * @param {number} frequency - The frequency of the wave in Hz.
  * @param {number} startTime - The AudioContext time to start playing.
- * @param {number} duration - The duration the noise should play in seconds.
- * @param {number} [amplitude=0.3] - The amplitude of the noise (0.0 to 1.0).
- * @returns {AudioBufferSourceNode} The configured AudioBufferSourceNode, connected to an amplitude envelope.
+ * @param {number} duration - The duration the note should play in seconds.
+ * @param {number} [amplitude=0.5] - The amplitude of the wave (0.0 to 1.0).
+ * @param {number} [duty=0.5] - Fraction of each cycle spent high, e.g. one of PULSE_DUTY_CYCLES.
+ * @returns {OscillatorNode} The configured OscillatorNode, connected to an amplitude envelope.
+ */
+export function createPulseWave(audioContext, frequency = 440, startTime, duration, amplitude = 0.5, duty = 0.5) {
+    if (!audioContext) throw new Error("AudioContext is required.");
+    if (startTime === undefined || duration === undefined) throw new Error("startTime and duration are required.");
+
+    const oscillator = audioContext.createOscillator();
+    oscillator.setPeriodicWave(getPulseWave(audioContext, duty));
+    oscillator.frequency.setValueAtTime(frequency, startTime);
+
+    const amplitudeEnvelope = createAmplitudeEnvelope(audioContext, amplitude, startTime, duration);
+    oscillator.connect(amplitudeEnvelope);
+
+    oscillator.start(startTime);
+    oscillator.stop(startTime + duration);
+
+    return amplitudeEnvelope;
+}
+
+/**
+ * Creates a wavetable oscillator.
+ * @param {AudioContext} audioContext - The AudioContext.
+ * @param {number} frequency - The frequency of the wave in Hz.
+ * @param {number} startTime - The AudioContext time to start playing.
+ * @param {number} duration - The duration the note should play in seconds.
+ * @param {number} [amplitude=0.5] - The amplitude of the wave (0.0 to 1.0).
+ * @param {Array<number>} [table=WAVETABLE_PRESETS.triangle] - WAVETABLE_LENGTH samples, 0-WAVETABLE_MAX_VALUE.
+ * @returns {OscillatorNode} The configured OscillatorNode, connected to an amplitude envelope.
  */
-export function createNoise(audioContext, startTime, duration, amplitude = 0.3) {
+export function createWavetableWave(audioContext, frequency = 440, startTime, duration, amplitude = 0.5, table = WAVETABLE_PRESETS.triangle) {
     if (!audioContext) throw new Error("AudioContext is required.");
     if (startTime === undefined || duration === undefined) throw new Error("startTime and duration are required.");
 
-    const bufferSize = audioContext.sampleRate * duration;
-    const buffer = audioContext.createBuffer(1, bufferSize, audioContext.sampleRate);
-    const output = buffer.getChannelData(0);
+    const oscillator = audioContext.createOscillator();
+    oscillator.setPeriodicWave(getWavetableWave(audioContext, table));
+    oscillator.frequency.setValueAtTime(frequency, startTime);
+
+    const amplitudeEnvelope = createAmplitudeEnvelope(audioContext, amplitude, startTime, duration);
+    oscillator.connect(amplitudeEnvelope);
+
+    oscillator.start(startTime);
+    oscillator.stop(startTime + duration);
 
-    for (let i = 0; i < bufferSize; i++) {
-        output[i] = Math.random() * 2 - 1; // Generate random samples between -1 and 1
+    return amplitudeEnvelope;
+}
+
+/** LFSR noise modes: 'long' uses all 15 bits (hiss), 'short' feeds back into bit 6 for a 127-step metallic loop. */
+export const NOISE_MODES = Object.freeze(['long', 'short']);
+
+/** LFSR clock steps per cycle of the note frequency, so noise can be pitched by the grid note. */
+export const NOISE_CLOCK_RATIO = 16;
+
+// One full LFSR period per context and mode
+const noiseBufferCache = new WeakMap();
+
+/**
+ * Returns a buffer holding one full period of Game Boy-style LFSR noise, one sample per clock step.
+ * The register starts with all bits set; each step XORs bits 0 and 1, shifts right and feeds the
+ * result into bit 14 (and bit 6 in short mode). The output is bit 0, inverted.
+ * Loop the buffer and set the playback rate to clockRate / buffer.sampleRate to play it.
+ * @param {BaseAudioContext} audioContext - The context the buffer will be played in.
+ * @param {string} [mode='long'] - One of NOISE_MODES.
+ * @returns {AudioBuffer} 32767 (long) or 127 (short) samples of +1/-1 at the context's sample rate.
+ */
+export function getLfsrNoiseBuffer(audioContext, mode = 'long') {
+    if (!audioContext) throw new Error("AudioContext is required.");
+    if (!NOISE_MODES.includes(mode)) throw new Error(`Invalid noise mode: ${mode}`);
+
+    if (!noiseBufferCache.has(audioContext)) noiseBufferCache.set(audioContext, new Map());
+    const buffers = noiseBufferCache.get(audioContext);
+    if (!buffers.has(mode)) {
+        const period = mode === 'short' ? 127 : 32767;
+        const buffer = audioContext.createBuffer(1, period, audioContext.sampleRate);
+        const output = buffer.getChannelData(0);
+        let register = 0x7FFF;
+        for (let i = 0; i < period; i++) {
+            output[i] = (register & 1) ? -1 : 1;
+            const feedback = (register ^ (register >> 1)) & 1;
+            register = (register >> 1) | (feedback << 14);
+            if (mode === 'short') {
+                register = (register & ~(1 << 6)) | (feedback << 6);
+            }
+        }
+        buffers.set(mode, buffer);
     }
+    return buffers.get(mode);
+}
+
+/**
+ * Creates an LFSR noise source.
+ * @param {AudioContext} audioContext - The AudioContext.
+ * @param {number} startTime - The AudioContext time to start playing.
+ * @param {number} duration - The duration the noise should play in seconds.
+ * @param {number} [amplitude=0.3] - The amplitude of the noise (0.0 to 1.0).
+ * @param {number} [clockRate] - LFSR steps per second; defaults to one step per output sample.
+ *                               For a pitched note use frequency * NOISE_CLOCK_RATIO.
+ * @param {string} [mode='long'] - One of NOISE_MODES.
+ * @returns {AudioBufferSourceNode} The configured AudioBufferSourceNode, connected to an amplitude envelope.
+ */
+export function createNoise(audioContext, startTime, duration, amplitude = 0.3, clockRate, mode = 'long') {
+    if (!audioContext) throw new Error("AudioContext is required.");
+    if (startTime === undefined || duration === undefined) throw new Error("startTime and duration are required.");
 
+    const buffer = getLfsrNoiseBuffer(audioContext, mode);
     const noiseSource = audioContext.createBufferSource();
     noiseSource.buffer = buffer;
+    noiseSource.loop = true;
+    noiseSource.playbackRate.setValueAtTime((clockRate || buffer.sampleRate) / buffer.sampleRate, startTime);
 
     const amplitudeEnvelope = createAmplitudeEnvelope(audioContext, amplitude, startTime, duration);
     noiseSource.connect(amplitudeEnvelope);
@@ -164,5 +360,7 @@ export function createNoise(audioContext, startTime, duration, amplitude = 0.3)
 //     createSquareWave,
 //     createSawtoothWave,
 //     createTriangleWave,
+//     createPulseWave,
+//     createWavetableWave,
 //     createNoise,
 // };
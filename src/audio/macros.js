@@ -0,0 +1,124 @@
+/**
+ * @file Instrument macro sequences for Thunderbird Chiptune Composer.
+ * A macro is a list of values the engine steps through once per tick while an instrument's note plays,
+ * in the style of FamiTracker sequences. Each macro may have a loop point (where playback jumps back to
+ * after the last value) and a release point (where playback waits until the note-off).
+ */
+
+/** The macros an instrument can have, and the value range of each. */
+export const MACRO_TYPES = Object.freeze({
+    volume: { min: 0, max: 15, defaultValue: 15 },   // Scales the note's volume, 15 = full
+    arpeggio: { min: -12, max: 12, defaultValue: 0 }, // Semitones above or below the played note
+    pitch: { min: -16, max: 16, defaultValue: 0 },    // Added to the pitch every tick, in 1/16 semitones
+    duty: { min: 0, max: 3, defaultValue: 2 },        // Index into PULSE_DUTY_CYCLES
+});
+
+/** Longest sequence the Instrument Editor offers, in ticks. */
+export const MAX_MACRO_LENGTH = 64;
+
+/**
+ * Returns a clean copy of a macro, with values clamped to the macro's range and
+ * loop/release points that point inside the sequence (or -1 for none).
+ * @param {string} type - A key of MACRO_TYPES.
+ * @param {object} [macro] - The macro as stored on an instrument.
+ * @param {Array<number>} [macro.values] - One value per tick.
+ * @param {number} [macro.loop=-1] - Index to jump back to after the last value.
+ * @param {number} [macro.release=-1] - Index at which playback waits for the note-off.
+ * @returns {{values: Array<number>, loop: number, release: number}} The normalized macro.
+ */
+export function normalizeMacro(type, macro) {
+    const range = MACRO_TYPES[type];
+    const source = macro && Array.isArray(macro.values) ? macro.values.slice(0, MAX_MACRO_LENGTH) : [];
+    const values = source.map(value => Math.max(range.min, Math.min(range.max, Math.round(value) || 0)));
+    const pointOrNone = (index) => (Number.isInteger(index) && index >= 0 && index < values.length) ? index : -1;
+    return {
+        values,
+        loop: pointOrNone(macro ? macro.loop : -1),
+        release: pointOrNone(macro ? macro.release : -1),
+    };
+}
+
+/**
+ * Steps through an instrument's macros for one note. The engine calls tick() once per tick
+ * for as long as the note sounds.
+ */
+export class MacroPlayer {
+    /**
+     * Creates an instance of MacroPlayer.
+     * @param {object} macros - The instrument's macros, keyed by MACRO_TYPES names. Empty ones are ignored.
+     */
+    constructor(macros) {
+        this.sequences = {};
+        Object.keys(MACRO_TYPES).forEach(type => {
+            const macro = normalizeMacro(type, macros[type]);
+            if (macro.values.length > 0) {
+                this.sequences[type] = { ...macro, position: 0 };
+            }
+        });
+        this.released = false;
+        this.pitchAccumulator = 0; // Sum of the pitch macro so far, in 1/16 semitones
+    }
+
+    /**
+     * Whether the instrument has any macro at all.
+     * @returns {boolean}
+     */
+    get isEmpty() {
+        return Object.keys(this.sequences).length === 0;
+    }
+
+    /**
+     * Whether the macros move the note's pitch.
+     * @returns {boolean}
+     */
+    get hasPitch() {
+        return Boolean(this.sequences.arpeggio || this.sequences.pitch);
+    }
+
+    /**
+     * Returns the macro values for the current tick and moves every sequence on by one.
+     * @param {boolean} released - Whether the note has had its note-off.
+     * @returns {{volume: (number|undefined), duty: (number|undefined), pitchOffset: number}}
+     *          The volume and duty of instruments that have those macros, and the pitch offset in semitones.
+     */
+    tick(released) {
+        if (released && !this.released) {
+            this.released = true;
+            // Leave the release point and play on to the end of the sequence
+            Object.values(this.sequences).forEach(sequence => {
+                if (sequence.release >= 0) {
+                    sequence.position = Math.min(sequence.release + 1, sequence.values.length - 1);
+                }
+            });
+        }
+
+        const current = {};
+        Object.entries(this.sequences).forEach(([type, sequence]) => {
+            current[type] = sequence.values[sequence.position];
+            sequence.position = this._nextPosition(sequence);
+        });
+
+        if (current.pitch !== undefined) this.pitchAccumulator += current.pitch;
+        return {
+            volume: current.volume,
+            duty: current.duty,
+            pitchOffset: (current.arpeggio || 0) + this.pitchAccumulator / 16,
+        };
+    }
+
+    /**
+     * Works out which value of a sequence plays on the next tick.
+     * @param {object} sequence - A sequence of this.sequences.
+     * @returns {number} The next position.
+     */
+    _nextPosition(sequence) {
+        const { position, loop, release, values } = sequence;
+        if (!this.released && position === release) {
+            // Held notes loop between the loop and release points, or wait on the release point
+            return (loop >= 0 && loop <= release) ? loop : release;
+        }
+        if (position + 1 < values.length) return position + 1;
+        // At the end: loop, unless the loop lies before a release point that has been passed
+        return (loop >= 0 && (release < 0 || loop > release)) ? loop : position;
+    }
+}
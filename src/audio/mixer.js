@@ -0,0 +1,155 @@
+/**
+ * @file Channel mixer for Thunderbird Chiptune Composer.
+ * Each track's voice plays through a ChannelStrip (volume, stereo pan, mute/solo gate)
+ * before reaching the master bus. Strips can also send part of their signal to effect buses,
+ * whose wet returns are mixed back in before the master insert chain.
+ */
+
+import { createEffectChain, normalizeEffectSettings } from './effects.js';
+
+/** Number of send buses every strip can feed. */
+export const SEND_BUS_COUNT = 2;
+
+/**
+ * A bus that runs everything connected to its input through an effect chain.
+ * Used for the master insert chain and for the send buses.
+ */
+export class MixBus {
+    /**
+     * Creates an instance of MixBus.
+     * @param {BaseAudioContext} audioContext - The AudioContext.
+     * @param {AudioNode} destination - The node the bus output connects to.
+     * @param {Array<object>} [effects=[]] - The effect chain, in signal order (see normalizeEffectSettings()).
+     */
+    constructor(audioContext, destination, effects = []) {
+        if (!audioContext) {
+            throw new Error("AudioContext is required to create a MixBus.");
+        }
+        this.audioContext = audioContext;
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain(); // Return level
+        this.output.connect(destination);
+        this.level = 1;
+        this.effects = [];
+        this.chain = null;
+        this.setEffects(effects);
+    }
+
+    /**
+     * Replaces the bus's effect chain. Effect tails still ringing in the old chain are cut.
+     * @param {Array<object>} effects - The effect chain, in signal order.
+     */
+    setEffects(effects) {
+        if (this.chain) {
+            this.input.disconnect();
+            this.chain.dispose();
+        }
+        this.effects = (Array.isArray(effects) ? effects : []).map(normalizeEffectSettings).filter(effect => effect !== null);
+        this.chain = createEffectChain(this.audioContext, this.effects);
+        this.input.connect(this.chain.input);
+        this.chain.output.connect(this.output);
+    }
+
+    /**
+     * Sets the bus output level.
+     * @param {number} level - Level (0.0 to 1.0).
+     */
+    setLevel(level) {
+        this.level = Math.max(0, Math.min(1, level));
+        this.output.gain.setValueAtTime(this.level, this.audioContext.currentTime);
+    }
+
+    /**
+     * Returns the bus settings for saving.
+     * @returns {{effects: Array<object>, level: number}}
+     */
+    toData() {
+        return { effects: JSON.parse(JSON.stringify(this.effects)), level: this.level };
+    }
+}
+
+class ChannelStrip {
+    /**
+     * Creates an instance of ChannelStrip.
+     * @param {AudioContext} audioContext - The AudioContext.
+     * @param {AudioNode} destination - The node the strip's output connects to.
+     * @param {Array<AudioNode>} [sendDestinations=[]] - Inputs of the send buses, in order.
+     */
+    constructor(audioContext, destination, sendDestinations = []) {
+        if (!audioContext) {
+            throw new Error("AudioContext is required to create a ChannelStrip.");
+        }
+        this.audioContext = audioContext;
+
+        this.input = audioContext.createGain(); // Fader; voices connect here
+        this.panner = audioContext.createStereoPanner();
+        this.gate = audioContext.createGain(); // Closed while the track is muted or another track is soloed
+        this.output = this.gate;
+
+        this.input.connect(this.panner);
+        this.panner.connect(this.gate);
+        this.gate.connect(destination);
+
+        // Post-fader sends, taken after the gate so muted tracks do not feed the buses
+        this.sendGains = sendDestinations.map(sendDestination => {
+            const sendGain = audioContext.createGain();
+            sendGain.gain.value = 0;
+            this.gate.connect(sendGain);
+            sendGain.connect(sendDestination);
+            return sendGain;
+        });
+        this.sends = this.sendGains.map(() => 0);
+
+        this.volume = 1;
+        this.pan = 0;
+        this.muted = false;
+        this.soloed = false;
+    }
+
+    /**
+     * Sets the fader level.
+     * @param {number} volume - Volume (0.0 to 1.0).
+     */
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        this.input.gain.setValueAtTime(this.volume, this.audioContext.currentTime);
+    }
+
+    /**
+     * Sets the stereo position.
+     * @param {number} pan - Pan position (-1.0 = left, 0 = center, 1.0 = right).
+     */
+    setPan(pan) {
+        this.pan = Math.max(-1, Math.min(1, pan));
+        this.panner.pan.setValueAtTime(this.pan, this.audioContext.currentTime);
+    }
+
+    /**
+     * Sets how much of the track is sent to a send bus.
+     * @param {number} sendIndex - The send bus index.
+     * @param {number} level - Send level (0.0 to 1.0).
+     */
+    setSendLevel(sendIndex, level) {
+        if (!this.sendGains[sendIndex]) return;
+        this.sends[sendIndex] = Math.max(0, Math.min(1, level));
+        this.sendGains[sendIndex].gain.setValueAtTime(this.sends[sendIndex], this.audioContext.currentTime);
+    }
+
+    /**
+     * Opens or closes the strip's gate. Called by the engine after mute/solo changes.
+     * @param {boolean} audible - Whether the track should be heard.
+     */
+    setAudible(audible) {
+        this.gate.gain.setValueAtTime(audible ? 1 : 0, this.audioContext.currentTime);
+    }
+
+    /**
+     * Returns the strip's settings for saving.
+     * @returns {{volume: number, pan: number, mute: boolean, solo: boolean, sends: Array<number>}}
+     */
+    toData() {
+        return { volume: this.volume, pan: this.pan, mute: this.muted, solo: this.soloed, sends: this.sends.slice() };
+    }
+}
+
+export default ChannelStrip;
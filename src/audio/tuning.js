@@ -0,0 +1,150 @@
+/**
+ * @file Tuning systems for Thunderbird Chiptune Composer.
+ * A Tuning turns note numbers (MIDI numbering, C-4 = 60) into frequencies for a project's reference pitch
+ * and temperament. Temperaments are scale tables in cents, as in Scala .scl files, repeated every period
+ * (usually an octave) from a tonic note.
+ */
+
+/** Note number of the reference pitch, A-4. */
+export const REFERENCE_NOTE = 69;
+
+/** Reference pitch of new projects, in Hz. */
+export const DEFAULT_REFERENCE_PITCH = 440;
+
+/**
+ * Converts a frequency ratio to cents.
+ * @param {number} ratio - The ratio (e.g. 3/2).
+ * @returns {number} The interval in cents.
+ */
+function ratioToCents(ratio) {
+    return 1200 * Math.log2(ratio);
+}
+
+/** The temperaments a project can use. The custom one takes its table from a Scala scale. */
+export const TEMPERAMENTS = Object.freeze({
+    equal: {
+        label: 'Equal temperament',
+        cents: Array.from({ length: 12 }, (_, i) => i * 100),
+    },
+    just: {
+        label: 'Just intonation (5-limit)',
+        cents: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8].map(ratioToCents),
+    },
+    custom: {
+        label: 'Custom (Scala scale)',
+        cents: null,
+    },
+});
+
+/**
+ * Parses a scale in the Scala .scl format: comment lines starting with "!", a description line,
+ * the number of notes, then one pitch per line, in cents (with a decimal point) or as a ratio (e.g. "3/2" or "2").
+ * The last pitch is the period the scale repeats at.
+ * @param {string} text - The contents of a .scl file.
+ * @returns {{description: string, cents: Array<number>, period: number}|null} The degrees in cents from the
+ *          tonic (starting with 0) and the period in cents, or null if the text is not a valid scale.
+ */
+export function parseScala(text) {
+    const lines = String(text || '').split(/\r?\n/).filter(line => !line.startsWith('!'));
+    if (lines.length < 2) return null;
+    const description = lines[0].trim();
+    const count = parseInt(lines[1], 10);
+    if (isNaN(count) || count < 1) return null;
+
+    const pitches = [];
+    for (const line of lines.slice(2)) {
+        const value = line.trim().split(/\s+/)[0]; // Anything after the pitch is a comment
+        if (!value) continue;
+        let cents;
+        if (value.includes('.')) {
+            cents = parseFloat(value);
+        } else {
+            const [numerator, denominator = '1'] = value.split('/');
+            const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+            cents = ratio > 0 ? ratioToCents(ratio) : NaN;
+        }
+        if (!isFinite(cents)) return null;
+        pitches.push(cents);
+        if (pitches.length === count) break;
+    }
+    const period = pitches[count - 1];
+    if (pitches.length < count || !(period > 0)) return null;
+    return { description, cents: [0, ...pitches.slice(0, -1)], period };
+}
+
+class Tuning {
+    /**
+     * Creates an instance of Tuning. Settings that are out of range fall back to standard tuning.
+     * @param {object} [settings] - Tuning settings, as saved in a project.
+     * @param {number} [settings.referencePitch=DEFAULT_REFERENCE_PITCH] - Frequency of A-4 in Hz.
+     * @param {string} [settings.temperament='equal'] - A key of TEMPERAMENTS.
+     * @param {number} [settings.tonic=0] - Note the scale starts on, in semitones above C (0-11).
+     * @param {string} [settings.scala=''] - Scala .scl text for the custom temperament.
+     */
+    constructor({ referencePitch = DEFAULT_REFERENCE_PITCH, temperament = 'equal', tonic = 0, scala = '' } = {}) {
+        this.referencePitch = referencePitch > 0 ? referencePitch : DEFAULT_REFERENCE_PITCH;
+        this.temperament = TEMPERAMENTS[temperament] ? temperament : 'equal';
+        this.tonic = Number.isInteger(tonic) && tonic >= 0 && tonic < 12 ? tonic : 0;
+        this.scala = String(scala || '');
+
+        let scale = { cents: TEMPERAMENTS[this.temperament].cents, period: 1200 };
+        if (this.temperament === 'custom') {
+            scale = parseScala(this.scala);
+            if (!scale) {
+                console.warn("Tuning: Invalid Scala scale, using equal temperament.");
+                scale = { cents: TEMPERAMENTS.equal.cents, period: 1200 };
+            }
+        }
+        this.cents = scale.cents;
+        this.period = scale.period;
+        this.referenceCents = this._centsOf(REFERENCE_NOTE);
+    }
+
+    /**
+     * Returns the position of a note in the scale, in cents above the tonic of octave 4.
+     * @param {number} noteNumber - The note number.
+     * @returns {number} The note's pitch in cents.
+     */
+    _centsOf(noteNumber) {
+        const steps = noteNumber - (60 + this.tonic);
+        const size = this.cents.length;
+        const degree = ((steps % size) + size) % size;
+        return (steps - degree) / size * this.period + this.cents[degree];
+    }
+
+    /**
+     * Returns the frequency of a note. Every pitch the engine plays starts here.
+     * @param {number} noteNumber - The note number (C-4 = 60).
+     * @param {number} [cents=0] - Detune in cents.
+     * @returns {number} The frequency in Hz.
+     */
+    frequencyOf(noteNumber, cents = 0) {
+        return this.referencePitch * Math.pow(2, (this._centsOf(noteNumber) - this.referenceCents + cents) / 1200);
+    }
+
+    /**
+     * Returns the frequency ratio of an interval above a note, following the scale for whole semitones
+     * and equal temperament for any fraction left over.
+     * @param {number} noteNumber - The note the interval starts from.
+     * @param {number} semitones - The interval, in scale steps (negative for below).
+     * @returns {number} The frequency ratio.
+     */
+    intervalRatio(noteNumber, semitones) {
+        const whole = Math.floor(semitones);
+        const fraction = semitones - whole;
+        return this.frequencyOf(noteNumber + whole) / this.frequencyOf(noteNumber) * Math.pow(2, fraction / 12);
+    }
+
+    /**
+     * Returns the tuning's settings for saving.
+     * @returns {object} Plain data for the constructor.
+     */
+    toData() {
+        return { referencePitch: this.referencePitch, temperament: this.temperament, tonic: this.tonic, scala: this.scala };
+    }
+}
+
+/** A-4 = 440 Hz equal temperament, the tuning samples are recorded in. */
+export const STANDARD_TUNING = new Tuning();
+
+export default Tuning;
@@ -0,0 +1,425 @@
+/**
+ * @file Per-track voices for Thunderbird Chiptune Composer.
+ * Each TrackerGrid track owns one monophonic Voice, like a channel of a sound chip:
+ * a new note replaces the one playing, and effects act on the voice's current state.
+ */
+
+import { MAX_CHANNEL_VOLUME } from './effect-commands.js';
+import { PULSE_DUTY_CYCLES, getPulseWave } from './generators.js';
+import { MacroPlayer, MACRO_TYPES } from './macros.js';
+import { createEffectChain } from './effects.js';
+import { quantizeLevel } from './chips.js';
+
+const RENDER_QUANTUM = 128; // Frames an AudioContext renders at a time
+
+// Callbacks waiting for an offline render to reach them, by context and render quantum
+const offlineCallbacks = new WeakMap();
+
+/**
+ * Runs a callback when an AudioContext reaches a time, for changes that cannot be scheduled on an
+ * AudioParam, like OscillatorNode.setPeriodicWave(). Live contexts use a timer. Offline contexts have
+ * the whole song scheduled before rendering starts, so the render is suspended at the time instead.
+ * @param {BaseAudioContext} audioContext - The context.
+ * @param {number} time - The AudioContext time at which to run the callback.
+ * @param {function} callback - The change to make.
+ */
+function callAtTime(audioContext, time, callback) {
+    const delay = time - audioContext.currentTime;
+    if (delay <= 0) {
+        callback();
+    } else if (typeof audioContext.startRendering !== 'function') {
+        setTimeout(callback, delay * 1000);
+    } else {
+        // An offline context can be suspended only once per render quantum, so changes due in the same one share it
+        if (!offlineCallbacks.has(audioContext)) offlineCallbacks.set(audioContext, new Map());
+        const pending = offlineCallbacks.get(audioContext);
+        const quantum = Math.floor(time * audioContext.sampleRate / RENDER_QUANTUM);
+        if (!pending.has(quantum)) {
+            pending.set(quantum, []);
+            audioContext.suspend(quantum * RENDER_QUANTUM / audioContext.sampleRate).then(() => {
+                pending.get(quantum).forEach(pendingCallback => pendingCallback());
+                pending.delete(quantum);
+                return audioContext.resume();
+            });
+        }
+        pending.get(quantum).push(callback);
+    }
+}
+
+/**
+ * Calculates the value of a note's ADSR envelope at a given time, before any release.
+ * @param {object} note - A note handle returned by AudioEngine.scheduleNote().
+ * @param {number} time - The AudioContext time.
+ * @returns {number} The envelope gain at that time.
+ */
+function envelopeLevelAt(note, time) {
+    const elapsed = time - note.startTime;
+    if (elapsed <= 0) return 0;
+    if (elapsed < note.attack) return note.peakVolume * elapsed / note.attack;
+    const sustainVolume = note.peakVolume * note.sustain;
+    if (elapsed < note.attack + note.decay) {
+        return note.peakVolume + (sustainVolume - note.peakVolume) * (elapsed - note.attack) / note.decay;
+    }
+    return sustainVolume;
+}
+
+/**
+ * Ramps a note's gain linearly from one value to another, or, for notes on a chip channel, in the
+ * channel's volume steps. The gain must already be at the start value at startTime.
+ * @param {AudioParam} param - The gain to ramp.
+ * @param {number} from - The gain at startTime.
+ * @param {number} to - The gain at endTime.
+ * @param {number} startTime - The AudioContext time at which the ramp starts.
+ * @param {number} endTime - The AudioContext time at which the ramp ends.
+ * @param {Array<number>|null} levels - The chip channel's gain levels (see chips.js), or null for a smooth ramp.
+ */
+export function rampEnvelope(param, from, to, startTime, endTime, levels) {
+    if (!levels) {
+        param.linearRampToValueAtTime(to, endTime);
+        return;
+    }
+    const start = quantizeLevel(levels, from);
+    const end = quantizeLevel(levels, to);
+    // Step to each level between the two as the smooth ramp would reach it
+    const steps = levels.filter(level => level > 0 && (end > start ? level > start && level <= end : level < start && level >= end));
+    if (end < start) steps.reverse();
+    if (end === 0 && start > 0) steps.push(0);
+    steps.forEach(level => {
+        const progress = from === to ? 1 : Math.max(0, Math.min(1, (level - from) / (to - from)));
+        param.setValueAtTime(level, startTime + progress * (endTime - startTime));
+    });
+}
+
+/**
+ * Calculates a note filter's cutoff for a level of its envelope.
+ * @param {object} filter - The filter part of a note handle (see AudioEngine._createNoteFilter()).
+ * @param {number} level - Envelope level (0 = at rest, 1 = peak).
+ * @returns {number} The cutoff frequency in Hz, kept within the audible range.
+ */
+export function filterCutoffAt(filter, level) {
+    const cutoff = filter.baseCutoff * Math.pow(2, filter.envelopeAmount * level);
+    return Math.max(20, Math.min(filter.maxCutoff, cutoff));
+}
+
+/**
+ * Calculates the level of a note filter's envelope at a given time, before any release.
+ * @param {object} note - A note handle with a filter.
+ * @param {number} time - The AudioContext time.
+ * @returns {number} The envelope level (0 to 1).
+ */
+function filterEnvelopeLevelAt(note, time) {
+    const { attack, decay, sustain } = note.filter;
+    const elapsed = time - note.startTime;
+    if (elapsed <= 0) return 0;
+    if (elapsed < attack) return elapsed / attack;
+    if (elapsed < attack + decay) return 1 + (sustain - 1) * (elapsed - attack) / decay;
+    return sustain;
+}
+
+/**
+ * Starts the release phase of a held note (note-off) and stops it once the release has finished.
+ * @param {object} note - A note handle returned by AudioEngine.scheduleNote().
+ * @param {number} time - The AudioContext time of the note-off.
+ */
+export function releaseNote(note, time) {
+    if (!note || note.releasedAt !== null) return;
+    const releaseStart = Math.max(time, note.startTime);
+    const gain = note.gainNode.gain;
+    gain.cancelScheduledValues(releaseStart);
+    const level = envelopeLevelAt(note, releaseStart);
+    gain.setValueAtTime(note.volumeLevels ? quantizeLevel(note.volumeLevels, level) : level, releaseStart); // Continue from wherever the envelope is
+    rampEnvelope(gain, level, 0, releaseStart, releaseStart + note.release, note.volumeLevels); // Release phase
+    if (note.filter) {
+        const cutoff = note.filter.node.frequency;
+        cutoff.cancelScheduledValues(releaseStart);
+        cutoff.setValueAtTime(filterCutoffAt(note.filter, filterEnvelopeLevelAt(note, releaseStart)), releaseStart);
+        cutoff.exponentialRampToValueAtTime(filterCutoffAt(note.filter, 0), releaseStart + note.filter.release);
+    }
+    note.sources.forEach(source => source.stop(releaseStart + note.release + 0.05)); // Stop sources after release phase + small buffer
+    note.releasedAt = releaseStart;
+}
+
+/**
+ * Silences a note instantly, skipping the release phase (note-cut).
+ * @param {object} note - A note handle returned by AudioEngine.scheduleNote().
+ * @param {number} time - The AudioContext time of the cut.
+ */
+export function cutNote(note, time) {
+    if (!note) return;
+    const cutTime = Math.max(time, note.startTime);
+    if (note.releasedAt !== null && cutTime >= note.releasedAt + note.release) return; // Already silent
+    note.gainNode.gain.cancelScheduledValues(cutTime);
+    note.gainNode.gain.setValueAtTime(0, cutTime);
+    note.sources.forEach(source => source.stop(cutTime));
+    note.releasedAt = cutTime;
+    note.release = 0;
+}
+
+/**
+ * Changes the velocity of a held note, rescaling the rest of its attack and decay and its sustain level.
+ * @param {object} note - A note handle returned by AudioEngine.scheduleNote().
+ * @param {number} velocity - The new velocity (0-1).
+ * @param {number} time - The AudioContext time of the change.
+ */
+function setNoteVelocity(note, velocity, time) {
+    if (!note || note.releasedAt !== null) return;
+    const changeTime = Math.max(time, note.startTime);
+    const gain = note.gainNode.gain;
+    gain.cancelScheduledValues(changeTime);
+    note.peakVolume = note.instrumentVolume * Math.max(0, Math.min(1, velocity));
+    const level = envelopeLevelAt(note, changeTime);
+    const sustainVolume = note.peakVolume * note.sustain;
+    const attackEnd = note.startTime + note.attack;
+    const decayEnd = attackEnd + note.decay;
+    gain.setValueAtTime(note.volumeLevels ? quantizeLevel(note.volumeLevels, level) : level, changeTime);
+    if (changeTime < attackEnd) {
+        rampEnvelope(gain, level, note.peakVolume, changeTime, attackEnd, note.volumeLevels);
+        rampEnvelope(gain, note.peakVolume, sustainVolume, attackEnd, decayEnd, note.volumeLevels);
+    } else if (changeTime < decayEnd) {
+        rampEnvelope(gain, level, sustainVolume, changeTime, decayEnd, note.volumeLevels);
+    }
+}
+
+class Voice {
+    /**
+     * Creates an instance of Voice.
+     * @param {AudioContext} audioContext - The AudioContext.
+     * @param {AudioNode} destination - The node the voice's output connects to.
+     * @param {object|null} [channel=null] - The chip channel the voice plays on (see chips.js), or null if unrestricted.
+     */
+    constructor(audioContext, destination, channel = null) {
+        if (!audioContext) {
+            throw new Error("AudioContext is required to create a Voice.");
+        }
+        this.audioContext = audioContext;
+        this.input = audioContext.createGain();  // Instrument volume macro; notes connect here
+        this.output = audioContext.createGain(); // Channel volume, automated by Cxx/Axy/ECx
+        this.input.connect(this.output);
+        this.output.connect(destination);
+        this.effectChains = new Map(); // Instrument effect chains by instrument id, all feeding this.input
+        this.retiredChains = [];       // Chains of updated instruments, disposed of once the current note ends
+        this.channel = channel;
+
+        this.note = null;              // Handle of the current note; kept through its release so effects can act on the tail
+        this.instrument = null;        // Instrument of the last note, reused by notes without an instrument number
+        this.frequency = 0;            // Current pitch in Hz, moved by slides and portamento
+        this.noteNumber = null;        // Grid note number of the current note, for retuning and scale-aware arpeggios
+        this.detune = 0;               // E5x detune of the current note, in cents
+        this.volume = MAX_CHANNEL_VOLUME;
+        this.portamentoTarget = null;  // Target pitch in Hz for 3xx
+        this.vibratoPhase = 0;         // 0-63, one full cycle of the vibrato waveform
+        this.arpeggioTick = 0;         // Ticks the instrument arpeggiator has stepped through since the note started
+        this.macros = null;            // MacroPlayer stepping the note's instrument macros, if it has any
+        this.effectMemory = {};        // Last non-zero parameter per command, reused by "00"
+    }
+
+    /**
+     * Whether a note is sounding and has not been released yet.
+     * @returns {boolean}
+     */
+    get isHeld() {
+        return this.note !== null && this.note.releasedAt === null;
+    }
+
+    /**
+     * Whether there is a note (held or releasing) for pitch effects to act on.
+     * @returns {boolean}
+     */
+    get hasNote() {
+        return this.note !== null;
+    }
+
+    /**
+     * Makes a newly scheduled note the voice's note, cutting whatever was playing.
+     * @param {object} note - A note handle returned by AudioEngine.scheduleNote(), connected to this.input.
+     * @param {number} frequency - The note's pitch in Hz.
+     * @param {object} instrument - The instrument playing the note.
+     * @param {number} time - The AudioContext time at which the note starts.
+     * @param {number} noteNumber - The note number entered in the grid (C-4 = 60).
+     * @param {number} [detune=0] - The E5x detune included in the frequency, in cents.
+     */
+    start(note, frequency, instrument, time, noteNumber, detune = 0) {
+        cutNote(this.note, time);
+        this.disposeRetiredChains(time);
+        this.note = note;
+        this.instrument = instrument;
+        this.frequency = frequency;
+        this.noteNumber = noteNumber;
+        this.detune = detune;
+        this.portamentoTarget = null;
+        this.vibratoPhase = 0;
+        this.arpeggioTick = 0;
+        const macros = instrument && instrument.macros ? new MacroPlayer(instrument.macros) : null;
+        this.macros = macros && !macros.isEmpty ? macros : null;
+        this.setMacroVolume(MACRO_TYPES.volume.max, time);
+        this.volume = MAX_CHANNEL_VOLUME; // A new note restores full channel volume
+        this.applyVolume(time);
+    }
+
+    /**
+     * Returns the node a note of an instrument should connect to: the start of the voice's chain for
+     * the instrument's effects, built on first use and kept so delay tails carry on between notes.
+     * @param {Instrument} instrument - The instrument playing the note.
+     * @returns {AudioNode} The chain input, or this.input for instruments without effects.
+     */
+    getEffectsInput(instrument) {
+        const entry = this.effectChains.get(instrument.id);
+        if (entry) return entry.chain.input;
+        if (instrument.effects.length === 0) return this.input;
+
+        const chain = createEffectChain(this.audioContext, instrument.effects);
+        chain.output.connect(this.input);
+        this.effectChains.set(instrument.id, { chain, settings: JSON.stringify(instrument.effects) });
+        return chain.input;
+    }
+
+    /**
+     * Drops the voice's chain for an instrument if it was built from other effect settings, so the
+     * instrument's next note gets a new chain. The old chain is disposed of once the voice's current
+     * note and the chain's tail have ended.
+     * @param {Instrument} instrument - The instrument, with its current effects.
+     */
+    refreshEffectChain(instrument) {
+        const entry = this.effectChains.get(instrument.id);
+        if (!entry || entry.settings === JSON.stringify(instrument.effects)) return;
+        this.effectChains.delete(instrument.id);
+        this.retiredChains.push(entry.chain);
+        if (!this.isHeld) {
+            this.disposeRetiredChains(this.note ? this.note.releasedAt + this.note.release : this.audioContext.currentTime);
+        }
+    }
+
+    /**
+     * Disposes of the retired effect chains once their tails have ended.
+     * @param {number} time - The AudioContext time after which the chains get no more input.
+     */
+    disposeRetiredChains(time) {
+        this.retiredChains.splice(0).forEach(chain => {
+            // A silent source on the audio clock, so offline renders dispose of the chain at the right point too
+            const timer = this.audioContext.createConstantSource();
+            timer.offset.value = 0;
+            timer.connect(chain.input);
+            timer.onended = () => {
+                timer.disconnect();
+                chain.dispose();
+            };
+            timer.start(this.audioContext.currentTime);
+            timer.stop(Math.max(time, this.audioContext.currentTime) + chain.tail);
+        });
+    }
+
+    /**
+     * Releases the current note (note-off).
+     * @param {number} time - The AudioContext time of the note-off.
+     */
+    release(time) {
+        releaseNote(this.note, time);
+        if (this.note) this.disposeRetiredChains(this.note.releasedAt + this.note.release);
+    }
+
+    /**
+     * Silences the current note instantly (note-cut).
+     * @param {number} time - The AudioContext time of the cut.
+     */
+    cut(time) {
+        cutNote(this.note, time);
+        this.note = null;
+        this.disposeRetiredChains(time);
+    }
+
+    /**
+     * Changes the E5x detune of the current note. The pitch moves by the difference from the previous detune,
+     * so a pitch reached by slides is kept, and a portamento target moves with it.
+     * @param {number} detune - The new detune, in cents.
+     */
+    retune(detune) {
+        const ratio = Math.pow(2, (detune - this.detune) / 1200);
+        this.frequency *= ratio;
+        if (this.portamentoTarget) this.portamentoTarget *= ratio;
+        this.detune = detune;
+    }
+
+    /**
+     * Changes the volume of the current note, as a volume column entry on a row without a note does.
+     * @param {number} velocity - The new velocity (0-1).
+     * @param {number} time - The AudioContext time of the change.
+     */
+    setVelocity(velocity, time) {
+        setNoteVelocity(this.note, velocity, time);
+    }
+
+    /**
+     * Rounds a pitch to the nearest one the voice's chip channel can play.
+     * @param {number} frequency - The pitch in Hz.
+     * @returns {number} The playable pitch in Hz.
+     */
+    quantizePitch(frequency) {
+        return this.channel && this.channel.quantizePitch ? this.channel.quantizePitch(frequency) : frequency;
+    }
+
+    /**
+     * Rounds a gain to the nearest volume step of the voice's chip channel.
+     * @param {number} gain - The gain (0-1).
+     * @returns {number} The gain the channel can output.
+     */
+    quantizeVolume(gain) {
+        return this.channel ? quantizeLevel(this.channel.volumeLevels, gain) : gain;
+    }
+
+    /**
+     * Schedules a pitch for the current note, without changing the voice's base frequency.
+     * @param {number} frequency - The pitch in Hz.
+     * @param {number} time - The AudioContext time.
+     */
+    setPitch(frequency, time) {
+        if (this.note) {
+            // Oscillator frequency or sample playback rate
+            this.note.pitchParam.setValueAtTime(this.quantizePitch(frequency) * this.note.pitchScale, time);
+        }
+    }
+
+    /**
+     * Switches the current note to another pulse width. Has no effect on notes that are not pulse waves.
+     * @param {number} dutyIndex - Index into PULSE_DUTY_CYCLES.
+     * @param {number} time - The AudioContext time of the change.
+     */
+    setDuty(dutyIndex, time) {
+        const note = this.note;
+        if (!note || !note.pulseOscillator || note.dutyIndex === dutyIndex) return;
+        note.dutyIndex = dutyIndex;
+        const wave = getPulseWave(this.audioContext, PULSE_DUTY_CYCLES[dutyIndex]);
+        callAtTime(this.audioContext, Math.max(time, note.startTime), () => note.pulseOscillator.setPeriodicWave(wave));
+    }
+
+    /**
+     * Scales the current note by a value of its instrument's volume macro.
+     * @param {number} level - Macro volume (0-15).
+     * @param {number} time - The AudioContext time at which the level applies.
+     */
+    setMacroVolume(level, time) {
+        this.input.gain.setValueAtTime(this.quantizeVolume(level / MACRO_TYPES.volume.max), time);
+    }
+
+    /**
+     * Schedules the voice's current volume (0-64) on its output.
+     * @param {number} time - The AudioContext time at which the volume applies.
+     */
+    applyVolume(time) {
+        this.output.gain.setValueAtTime(this.quantizeVolume(this.volume / MAX_CHANNEL_VOLUME), time);
+    }
+
+    /**
+     * Cuts the current note and disconnects the voice. The voice is not usable afterwards.
+     * @param {number} time - The AudioContext time of the cut.
+     */
+    dispose(time) {
+        this.retiredChains.splice(0).forEach(chain => chain.dispose());
+        this.cut(time);
+        this.effectChains.forEach(entry => entry.chain.dispose());
+        this.effectChains.clear();
+        this.input.disconnect();
+        this.output.disconnect();
+    }
+}
+
+export default Voice;
@@ -0,0 +1,52 @@
+/**
+ * @file AudioWorklet processor for the bitcrusher effect in effects.js.
+ * Runs in the AudioWorkletGlobalScope, so it cannot import other modules.
+ * Reduces the sample rate by holding each sample until the next tick of a slower clock,
+ * then quantizes it to the given bit depth.
+ */
+
+class BitcrusherProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'bitDepth', defaultValue: 8, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+            { name: 'reducedSampleRate', defaultValue: 11025, minValue: 100, maxValue: 192000, automationRate: 'k-rate' },
+        ];
+    }
+
+    constructor() {
+        super();
+        this.phase = 1; // Reaching 1 takes a new sample; starting there takes the very first one
+        this.heldSamples = [];
+        this.alive = true;
+        // Per-note crushers are told to stop once their note has ended, so they can be garbage collected
+        this.port.onmessage = (event) => {
+            if (event.data === 'dispose') this.alive = false;
+        };
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const levels = Math.pow(2, parameters.bitDepth[0] - 1);
+        const phaseStep = Math.min(1, parameters.reducedSampleRate[0] / sampleRate);
+
+        if (input.length === 0) return this.alive; // No active input: output stays silent
+
+        for (let i = 0; i < output[0].length; i++) {
+            this.phase += phaseStep;
+            if (this.phase >= 1) {
+                this.phase -= 1;
+                for (let channel = 0; channel < output.length; channel++) {
+                    const sample = input[channel] ? input[channel][i] : 0;
+                    this.heldSamples[channel] = Math.round(sample * levels) / levels;
+                }
+            }
+            for (let channel = 0; channel < output.length; channel++) {
+                output[channel][i] = this.heldSamples[channel] || 0;
+            }
+        }
+        return this.alive;
+    }
+}
+
+registerProcessor('bitcrusher-processor', BitcrusherProcessor);
@@ -6,12 +6,153 @@
 import audioEngine from './audio/engine.js'; // audioEngine is an instance
 import { PanelManager } from './ui/panels.js';
 import TransportControl from './ui/transport.js';
-import TrackerGrid from './ui/grid.js';
+import TrackerGrid, { MAX_OCTAVE, MAX_EDIT_STEP } from './ui/grid.js';
 import Visualizer from './ui/visualizer.js';
+import WavetableEditor from './ui/wavetable-editor.js';
+import MacroEditor from './ui/macro-editor.js';
+import Song from './song.js';
+import { encodeWav, toFileName, downloadFile } from './utils/file-io.js';
+import { SAMPLE_RATE } from './constants.js';
+import { WAVETABLE_PRESETS } from './audio/generators.js';
+import { CHORD_SHAPES, ARPEGGIO_MODES, parseSemitoneList } from './audio/arpeggiator.js';
+import { EFFECT_TYPES, normalizeEffectSettings } from './audio/effects.js';
+import { CHIP_PROFILES, DEFAULT_CHIP, getChipTrackCount } from './audio/chips.js';
+import { TEMPERAMENTS, parseScala } from './audio/tuning.js';
+import { formatNote } from './utils/formatters.js';
 
 let panelManager; // Declare panelManager here to make it accessible
 let trackerGrid = null; // Declare trackerGrid here to make it accessible for save/load
 let currentEditingInstrumentId = '01'; // Default to '01'
+let wavetableEditor = null; // Canvas editor in the Instrument Editor panel for wavetable instruments
+let macroEditor = null; // Bar-graph editor in the Instrument Editor panel for instrument macros
+let selectedOrderIndex = 0; // Order list position selected in the Order List panel
+let playingOrderIndex = -1; // Order list position being played, -1 when stopped
+const SEND_NAMES = ['A', 'B']; // Mixer labels of the send buses
+const TONIC_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']; // Tonic choices of the tuning settings
+
+/**
+ * Shows only the Instrument Editor settings that apply to the selected type and waveform.
+ * @param {HTMLElement} editorPanelElement - The Instrument Editor panel element.
+ */
+function updateInstrumentEditorSections(editorPanelElement) {
+    const type = editorPanelElement.querySelector('#inst-type').value;
+    const waveform = editorPanelElement.querySelector('#inst-waveform').value;
+    editorPanelElement.querySelector('#inst-synth-settings').style.display = type === 'synth' ? '' : 'none';
+    editorPanelElement.querySelector('#inst-pulse-settings').style.display = waveform === 'pulse' ? '' : 'none';
+    const noiseMix = parseFloat(editorPanelElement.querySelector('#inst-noise-mix').value) || 0;
+    // The noise mode also applies to the noise layer mixed in with other waveforms
+    editorPanelElement.querySelector('#inst-noise-settings').style.display = (waveform === 'noise' || noiseMix > 0) ? '' : 'none';
+    editorPanelElement.querySelector('#inst-noise-mix-settings').style.display = waveform === 'noise' ? 'none' : '';
+    editorPanelElement.querySelector('#inst-wavetable-settings').style.display = type === 'wavetable' ? '' : 'none';
+    editorPanelElement.querySelector('#inst-sample-settings').style.display = type === 'sample' ? '' : 'none';
+}
+
+/**
+ * Shows the length, loop and release of the macro selected in the macro editor.
+ * @param {HTMLElement} editorPanelElement - The Instrument Editor panel element.
+ */
+function updateMacroFields(editorPanelElement) {
+    const macro = macroEditor.getSelectedMacro();
+    editorPanelElement.querySelector('#inst-macro-length').value = macro.values.length;
+    editorPanelElement.querySelector('#inst-macro-loop').value = macro.loop;
+    editorPanelElement.querySelector('#inst-macro-release').value = macro.release;
+}
+
+/**
+ * Renders an effect chain editor (instrument, master insert or send bus), one row per effect in signal order.
+ * @param {HTMLElement} listElement - The effects list element.
+ * @param {Array<object>} effects - The effect chain settings.
+ */
+function renderEffectChain(listElement, effects) {
+    listElement.innerHTML = '';
+    effects.forEach((effect, index) => {
+        const effectType = EFFECT_TYPES[effect.type];
+        const paramFields = Object.entries(effectType.params).map(([name, spec]) => {
+            const field = spec.options
+                ? `<select data-param="${name}">${spec.options.map(option => `<option value="${option}"${option === effect.params[name] ? ' selected' : ''}>${option}</option>`).join('')}</select>`
+                : `<input type="number" data-param="${name}" min="${spec.min}" max="${spec.max}" step="${spec.step}" value="${effect.params[name]}">`;
+            return `<label>${spec.label}: ${field}</label>`;
+        }).join(' ');
+
+        const row = document.createElement('div');
+        row.classList.add('effect-unit');
+        row.dataset.type = effect.type;
+        row.innerHTML = `
+            <label><input type="checkbox" class="effect-enabled"${effect.enabled ? ' checked' : ''}> ${index + 1}. ${effectType.label}</label>
+            <label>Mix: <input type="number" class="effect-mix" min="0" max="1" step="0.05" value="${effect.mix}"></label>
+            ${paramFields}
+            <button data-action="up" data-index="${index}" title="Move up">&uarr;</button>
+            <button data-action="down" data-index="${index}" title="Move down">&darr;</button>
+            <button data-action="remove" data-index="${index}" title="Remove">x</button>
+        `;
+        listElement.appendChild(row);
+    });
+}
+
+/**
+ * Reads the effect chain shown in an effect chain editor.
+ * @param {HTMLElement} listElement - The effects list element.
+ * @returns {Array<object>|null} The effect chain settings, or null if a value is out of range.
+ */
+function readEffectChain(listElement) {
+    const effects = [];
+    for (const row of listElement.querySelectorAll('.effect-unit')) {
+        const effectType = EFFECT_TYPES[row.dataset.type];
+        const mix = parseFloat(row.querySelector('.effect-mix').value);
+        if (isNaN(mix) || mix < 0 || mix > 1) return null;
+        const params = {};
+        for (const [name, spec] of Object.entries(effectType.params)) {
+            const field = row.querySelector(`[data-param="${name}"]`);
+            params[name] = spec.options ? field.value : parseFloat(field.value);
+            if (!spec.options && (isNaN(params[name]) || params[name] < spec.min || params[name] > spec.max)) return null;
+        }
+        effects.push({ type: row.dataset.type, enabled: row.querySelector('.effect-enabled').checked, mix, params });
+    }
+    return effects;
+}
+
+/**
+ * Wires up an effect chain editor's add, reorder and remove controls.
+ * @param {HTMLElement} listElement - The effects list element.
+ * @param {HTMLSelectElement} addSelect - The select listing the effect types that can be added.
+ * @param {HTMLElement} addButton - The button that appends the selected effect type.
+ * @param {function(Array<object>)} [onChange] - Called with the chain after every valid edit, for editors
+ *                                               that apply changes immediately.
+ */
+function setupEffectChainEditor(listElement, addSelect, addButton, onChange) {
+    Object.entries(EFFECT_TYPES).forEach(([type, effectType]) => {
+        addSelect.add(new Option(effectType.label, type));
+    });
+    const editChain = (edit) => {
+        const effects = readEffectChain(listElement);
+        if (!effects) { alert("Error: Invalid effect settings. Mix must be 0-1 and every value within its range."); return; }
+        edit(effects);
+        renderEffectChain(listElement, effects);
+        if (onChange) onChange(effects);
+    };
+    addButton.addEventListener('click', () => {
+        editChain(effects => effects.push(normalizeEffectSettings({ type: addSelect.value })));
+    });
+    listElement.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        const index = parseInt(button.dataset.index);
+        const swapWith = button.dataset.action === 'up' ? index - 1 : index + 1;
+        editChain(effects => {
+            if (button.dataset.action === 'remove') {
+                effects.splice(index, 1);
+            } else if (swapWith >= 0 && swapWith < effects.length) {
+                [effects[index], effects[swapWith]] = [effects[swapWith], effects[index]];
+            }
+        });
+    });
+    if (onChange) {
+        listElement.addEventListener('change', () => {
+            const effects = readEffectChain(listElement);
+            if (effects) onChange(effects);
+        });
+    }
+}
 
 /**
  * Populates the instrument editor form with details of a given instrument.
@@ -34,8 +175,53 @@ function populateInstrumentEditorForm(instrumentId, audioEngineInstance, panelMa
     editorPanel.panelElement.querySelector('#editing-inst-id-display').textContent = instrument.id;
     editorPanel.panelElement.querySelector('#editing-inst-name-display').textContent = instrument.name || (instrument.id === instrumentId ? `Instrument ${instrumentId}` : 'Default');
 
+    const instrumentType = ['wavetable', 'sample'].includes(instrument.type) ? instrument.type : 'synth';
+    editorPanel.panelElement.querySelector('#inst-type').value = instrumentType;
     editorPanel.panelElement.querySelector('#inst-waveform').value = instrument.waveform || 'sine';
+    editorPanel.panelElement.querySelector('#inst-duty').value = String(instrument.duty !== undefined ? instrument.duty : 0.5);
+    const filter = instrument.filter || {};
+    editorPanel.panelElement.querySelector('#inst-filter-enabled').checked = Boolean(filter.enabled);
+    editorPanel.panelElement.querySelector('#inst-filter-type').value = filter.type || 'lowpass';
+    editorPanel.panelElement.querySelector('#inst-filter-cutoff').value = filter.cutoff || 2000;
+    editorPanel.panelElement.querySelector('#inst-filter-resonance').value = filter.resonance || 1;
+    editorPanel.panelElement.querySelector('#inst-filter-amount').value = filter.envelopeAmount || 0;
+    editorPanel.panelElement.querySelector('#inst-filter-keytrack').value = filter.keyTracking || 0;
+    editorPanel.panelElement.querySelector('#inst-filter-attack').value = Number(filter.attack || 0.01).toFixed(3);
+    editorPanel.panelElement.querySelector('#inst-filter-decay').value = Number(filter.decay || 0.2).toFixed(3);
+    editorPanel.panelElement.querySelector('#inst-filter-sustain').value = Number(filter.sustain !== undefined ? filter.sustain : 1).toFixed(2);
+    editorPanel.panelElement.querySelector('#inst-filter-release').value = Number(filter.release || 0.2).toFixed(3);
+    const arpeggiator = instrument.arpeggiator || {};
+    editorPanel.panelElement.querySelector('#inst-arp-enabled').checked = Boolean(arpeggiator.enabled);
+    editorPanel.panelElement.querySelector('#inst-arp-chord').value = (arpeggiator.chord === 'custom' || CHORD_SHAPES[arpeggiator.chord]) ? arpeggiator.chord : 'major';
+    editorPanel.panelElement.querySelector('#inst-arp-semitones').value = (arpeggiator.semitones || [0, 4, 7]).join(' ');
+    editorPanel.panelElement.querySelector('#inst-arp-mode').value = ARPEGGIO_MODES.includes(arpeggiator.mode) ? arpeggiator.mode : 'up';
+    editorPanel.panelElement.querySelector('#inst-arp-rate').value = arpeggiator.rate || 1;
+    const bitcrusher = instrument.bitcrusher || {};
+    editorPanel.panelElement.querySelector('#inst-bitcrusher-enabled').checked = Boolean(bitcrusher.enabled);
+    editorPanel.panelElement.querySelector('#inst-bitcrusher-bits').value = bitcrusher.bitDepth || 8;
+    editorPanel.panelElement.querySelector('#inst-bitcrusher-rate').value = bitcrusher.sampleRate || 11025;
+    editorPanel.panelElement.querySelector('#inst-noise-mode').value = instrument.noiseMode === 'short' ? 'short' : 'long';
+    editorPanel.panelElement.querySelector('#inst-noise-mix').value = instrument.noiseMix || 0;
+    const pitchEnvelope = instrument.pitchEnvelope || {};
+    editorPanel.panelElement.querySelector('#inst-pitchenv-enabled').checked = Boolean(pitchEnvelope.enabled);
+    editorPanel.panelElement.querySelector('#inst-pitchenv-offset').value = pitchEnvelope.startOffset !== undefined ? pitchEnvelope.startOffset : 24;
+    editorPanel.panelElement.querySelector('#inst-pitchenv-time').value = Number(pitchEnvelope.time || 0.1).toFixed(3);
+    editorPanel.panelElement.querySelector('#inst-pitchenv-curve').value = pitchEnvelope.curve === 'linear' ? 'linear' : 'exponential';
+    if (wavetableEditor) wavetableEditor.setTable(instrument.wavetable || WAVETABLE_PRESETS.triangle);
+    renderEffectChain(editorPanel.panelElement.querySelector('#inst-effects-list'), instrument.effects || []);
+    if (macroEditor) {
+        macroEditor.setMacros(instrument.macros);
+        updateMacroFields(editorPanel.panelElement);
+    }
+    editorPanel.panelElement.querySelector('#inst-sample-url').value = instrument.sampleUrl || '';
+    editorPanel.panelElement.querySelector('#inst-root-note').value = instrument.rootNote || 'C-4';
+    editorPanel.panelElement.querySelector('#inst-loop-mode').value = instrument.loopMode === 'loop' ? 'loop' : 'oneshot';
+    editorPanel.panelElement.querySelector('#inst-loop-start').value = Number(instrument.loopStart || 0).toFixed(3);
+    editorPanel.panelElement.querySelector('#inst-loop-end').value = Number(instrument.loopEnd || 0).toFixed(3);
+    updateInstrumentEditorSections(editorPanel.panelElement);
     editorPanel.panelElement.querySelector('#inst-volume').value = (instrument.volume !== undefined ? Number(instrument.volume).toFixed(2) : '0.70');
+    editorPanel.panelElement.querySelector('#inst-transpose').value = instrument.transpose || 0;
+    editorPanel.panelElement.querySelector('#inst-fine-tune').value = instrument.fineTune || 0;
     editorPanel.panelElement.querySelector('#inst-attack').value = (instrument.attack !== undefined ? Number(instrument.attack).toFixed(3) : '0.010');
     editorPanel.panelElement.querySelector('#inst-decay').value = (instrument.decay !== undefined ? Number(instrument.decay).toFixed(3) : '0.100');
     editorPanel.panelElement.querySelector('#inst-sustain').value = (instrument.sustainLevel !== undefined ? Number(instrument.sustainLevel).toFixed(2) : '0.70');
@@ -60,7 +246,305 @@ function populateProjectSettingsForm(audioEngineInstance, panelManagerInstance)
     if (bpmInput) {
         bpmInput.value = audioEngineInstance.bpm;
     }
-    console.log(`Populated project settings form. BPM: ${audioEngineInstance.bpm}`);
+    const rowsPerBeatInput = panel.panelElement.querySelector('#setting-rows-per-beat');
+    if (rowsPerBeatInput) {
+        rowsPerBeatInput.value = audioEngineInstance.rowsPerBeat;
+    }
+    const speedInput = panel.panelElement.querySelector('#setting-speed');
+    if (speedInput) {
+        speedInput.value = audioEngineInstance.speed;
+    }
+    const chipSelect = panel.panelElement.querySelector('#setting-chip');
+    if (chipSelect) {
+        chipSelect.value = audioEngineInstance.chip;
+        describeChipChannels(panel.panelElement);
+    }
+    const tuning = audioEngineInstance.getTuningData();
+    panel.panelElement.querySelector('#setting-reference-pitch').value = tuning.referencePitch;
+    panel.panelElement.querySelector('#setting-temperament').value = tuning.temperament;
+    panel.panelElement.querySelector('#setting-tonic').value = tuning.tonic;
+    panel.panelElement.querySelector('#setting-scala').value = tuning.scala;
+    updateTuningFields(panel.panelElement);
+    console.log(`Populated project settings form. BPM: ${audioEngineInstance.bpm}, Rows/Beat: ${audioEngineInstance.rowsPerBeat}, Speed: ${audioEngineInstance.speed}`);
+}
+
+/**
+ * Lists the channels of the chip selected in the Project Settings panel.
+ * @param {HTMLElement} settingsPanelElement - The Project Settings panel element.
+ */
+function describeChipChannels(settingsPanelElement) {
+    const profile = CHIP_PROFILES[settingsPanelElement.querySelector('#setting-chip').value];
+    settingsPanelElement.querySelector('#setting-chip-channels').textContent = profile && profile.channels
+        ? `Tracks: ${profile.channels.map(channel => channel.name).join(', ')}`
+        : 'Any instrument on any track';
+}
+
+/**
+ * Shows the Scala scale box only for the custom temperament.
+ * @param {HTMLElement} settingsPanelElement - The Project Settings panel element.
+ */
+function updateTuningFields(settingsPanelElement) {
+    const temperament = settingsPanelElement.querySelector('#setting-temperament').value;
+    settingsPanelElement.querySelector('#setting-scala-settings').style.display = temperament === 'custom' ? '' : 'none';
+}
+
+/**
+ * Lets the grid's Ins column accept the instruments loaded in the engine.
+ * @param {object} trackerGridInstance - The TrackerGrid instance.
+ * @param {object} audioEngineInstance - The AudioEngine instance.
+ */
+function updateGridInstruments(trackerGridInstance, audioEngineInstance) {
+    trackerGridInstance.setInstrumentIds(audioEngineInstance.getInstrumentIds());
+}
+
+/**
+ * Fills the Note Entry panel from the grid's entry settings, listing the loaded instruments.
+ * @param {object} trackerGridInstance - The TrackerGrid instance.
+ * @param {object} audioEngineInstance - The AudioEngine instance.
+ * @param {object} panelManagerInstance - The PanelManager instance.
+ */
+function populateNoteEntryPanel(trackerGridInstance, audioEngineInstance, panelManagerInstance) {
+    const panel = panelManagerInstance.getPanel('note-entry-panel');
+    if (!panel || !panel.panelElement) {
+        console.warn("Note entry panel not found or not rendered for population.");
+        return;
+    }
+    const ids = audioEngineInstance.getInstrumentIds();
+    if (trackerGridInstance.currentInstrument && !ids.includes(trackerGridInstance.currentInstrument)) {
+        trackerGridInstance.setCurrentInstrument(ids.length > 0 ? ids[0] : '--'); // The instrument is no longer loaded
+    }
+    const instrumentSelect = panel.panelElement.querySelector('#entry-instrument');
+    instrumentSelect.innerHTML = '';
+    instrumentSelect.add(new Option('-- (keep Ins column)', '--'));
+    ids.forEach(id => instrumentSelect.add(new Option(`${id}: ${audioEngineInstance.getInstrument(id).name}`, id)));
+    instrumentSelect.value = trackerGridInstance.currentInstrument || '--';
+    panel.panelElement.querySelector('#entry-octave').value = trackerGridInstance.octave;
+    panel.panelElement.querySelector('#entry-edit-step').value = trackerGridInstance.editStep;
+}
+
+/**
+ * Shows the target chip's channel names in the grid's track headers.
+ * @param {object} trackerGridInstance - The TrackerGrid instance.
+ * @param {string} chip - A key of CHIP_PROFILES.
+ */
+function updateTrackNames(trackerGridInstance, chip) {
+    const channels = CHIP_PROFILES[chip].channels || [];
+    trackerGridInstance.setTrackNames(channels.map(channel => channel.name));
+}
+
+/**
+ * Renders the song's order list into the Order List panel.
+ * @param {object} trackerGridInstance - The TrackerGrid instance holding the song.
+ * @param {object} panelManagerInstance - The PanelManager instance.
+ */
+function populateOrderListPanel(trackerGridInstance, panelManagerInstance) {
+    const panel = panelManagerInstance.getPanel('order-list-panel');
+    if (!panel || !panel.panelElement || !trackerGridInstance) {
+        console.warn("Order list panel not found or not rendered for population.");
+        return;
+    }
+    const song = trackerGridInstance.getSong();
+    selectedOrderIndex = Math.min(selectedOrderIndex, song.orderList.length - 1);
+
+    const listElement = panel.panelElement.querySelector('#order-list');
+    listElement.innerHTML = '';
+    song.orderList.forEach((patternIndex, orderIndex) => {
+        const item = document.createElement('li');
+        item.dataset.order = orderIndex;
+        item.textContent = `${orderIndex.toString().padStart(2, '0')}: ${patternIndex.toString().padStart(2, '0')}`;
+        if (orderIndex === selectedOrderIndex) item.classList.add('selected-order');
+        if (orderIndex === playingOrderIndex) item.classList.add('playing-order');
+        listElement.appendChild(item);
+    });
+
+    const patternInput = panel.panelElement.querySelector('#order-pattern-input');
+    if (patternInput) patternInput.value = song.getPatternIndexAtOrder(selectedOrderIndex);
+}
+
+/**
+ * Selects an order list position and shows its pattern in the grid.
+ * @param {number} orderIndex - The order list position.
+ */
+function selectOrder(orderIndex) {
+    const song = trackerGrid.getSong();
+    selectedOrderIndex = Math.max(0, Math.min(song.orderList.length - 1, orderIndex));
+    trackerGrid.showPattern(song.getPatternIndexAtOrder(selectedOrderIndex));
+    populateOrderListPanel(trackerGrid, panelManager);
+}
+
+/**
+ * Keeps the grid and the order list in step with the sequencer.
+ * @param {number} step - The row being played, or -1 when playback stops.
+ * @param {number} orderIndex - The order list position being played.
+ * @param {number} patternIndex - The pattern number being played.
+ */
+function handlePlaybackStep(step, orderIndex, patternIndex) {
+    if (!trackerGrid) return;
+    if (step === -1) {
+        trackerGrid.setPlayingRow(-1);
+        playingOrderIndex = -1;
+        if (panelManager) populateOrderListPanel(trackerGrid, panelManager);
+        return;
+    }
+
+    const orderListPanel = panelManager ? panelManager.getPanel('order-list-panel')?.panelElement : null;
+    const followCheckbox = orderListPanel ? orderListPanel.querySelector('#order-follow-playback') : null;
+    if (followCheckbox && followCheckbox.checked && patternIndex !== trackerGrid.getCurrentPatternIndex()) {
+        selectedOrderIndex = orderIndex;
+        trackerGrid.showPattern(patternIndex);
+    }
+    trackerGrid.setPlayingRow(step, patternIndex);
+
+    if (orderIndex !== playingOrderIndex) {
+        playingOrderIndex = orderIndex;
+        if (panelManager) populateOrderListPanel(trackerGrid, panelManager);
+    }
+}
+
+/**
+ * Renders one mixer strip per track into the Mixer panel, reflecting the engine's current settings.
+ * @param {object} audioEngineInstance - The AudioEngine instance.
+ * @param {object} panelManagerInstance - The PanelManager instance.
+ * @param {number} numTracks - Number of tracks in the song.
+ */
+function populateMixerPanel(audioEngineInstance, panelManagerInstance, numTracks) {
+    const panel = panelManagerInstance.getPanel('mixer-panel');
+    if (!panel || !panel.panelElement) {
+        console.warn("Mixer panel not found or not rendered for population.");
+        return;
+    }
+    const stripsElement = panel.panelElement.querySelector('#mixer-strips');
+    stripsElement.innerHTML = '';
+    audioEngineInstance.getMixerData(numTracks).forEach((settings, trackIndex) => {
+        const strip = document.createElement('div');
+        strip.classList.add('mixer-strip');
+        strip.dataset.track = trackIndex;
+        strip.innerHTML = `
+            <span class="mixer-track-label">Track ${trackIndex + 1}</span>
+            <input type="range" class="mixer-volume" min="0" max="1" step="0.01" value="${settings.volume}" title="Volume">
+            <input type="range" class="mixer-pan" min="-1" max="1" step="0.01" value="${settings.pan}" title="Pan">
+            ${settings.sends.map((level, sendIndex) => `<input type="range" class="mixer-send" data-send="${sendIndex}" min="0" max="1" step="0.01" value="${level}" title="Send ${SEND_NAMES[sendIndex]}">`).join('')}
+            <button class="mixer-mute${settings.mute ? ' active' : ''}" title="Mute">M</button>
+            <button class="mixer-solo${settings.solo ? ' active' : ''}" title="Solo">S</button>
+        `;
+        stripsElement.appendChild(strip);
+    });
+
+    const busData = audioEngineInstance.getBusData();
+    renderEffectChain(panel.panelElement.querySelector('#master-effects-list'), busData.masterEffects);
+    busData.sends.forEach((send, sendIndex) => {
+        panel.panelElement.querySelector(`#send-${sendIndex}-level`).value = send.level;
+        renderEffectChain(panel.panelElement.querySelector(`#send-${sendIndex}-effects-list`), send.effects);
+    });
+
+    const masterBitcrusher = audioEngineInstance.getMasterBitcrusherData();
+    panel.panelElement.querySelector('#master-bitcrusher-enabled').checked = masterBitcrusher.enabled;
+    panel.panelElement.querySelector('#master-bitcrusher-bits').value = masterBitcrusher.bitDepth;
+    panel.panelElement.querySelector('#master-bitcrusher-rate').value = masterBitcrusher.sampleRate;
+}
+
+/**
+ * Reads bitcrusher settings from a set of form fields.
+ * @param {HTMLElement} containerElement - The element containing the fields.
+ * @param {string} prefix - The fields' ID prefix, e.g. 'inst-bitcrusher'.
+ * @returns {{enabled: boolean, bitDepth: number, sampleRate: number}|null} The settings, or null if a value is invalid.
+ */
+function readBitcrusherForm(containerElement, prefix) {
+    const enabled = containerElement.querySelector(`#${prefix}-enabled`).checked;
+    const bitDepth = parseInt(containerElement.querySelector(`#${prefix}-bits`).value);
+    const sampleRate = parseInt(containerElement.querySelector(`#${prefix}-rate`).value);
+    if (isNaN(bitDepth) || bitDepth < 1 || bitDepth > 16 || isNaN(sampleRate) || sampleRate < 100 || sampleRate > 48000) {
+        return null;
+    }
+    return { enabled, bitDepth, sampleRate };
+}
+
+/**
+ * Reads the instrument filter settings from the Instrument Editor.
+ * @param {HTMLElement} editorPanelElement - The Instrument Editor panel element.
+ * @returns {object|null} The filter settings, or null if a value is invalid.
+ */
+function readFilterForm(editorPanelElement) {
+    const field = (name) => parseFloat(editorPanelElement.querySelector(`#inst-filter-${name}`).value);
+    const filter = {
+        enabled: editorPanelElement.querySelector('#inst-filter-enabled').checked,
+        type: editorPanelElement.querySelector('#inst-filter-type').value,
+        cutoff: field('cutoff'),
+        resonance: field('resonance'),
+        envelopeAmount: field('amount'),
+        keyTracking: field('keytrack'),
+        attack: field('attack'),
+        decay: field('decay'),
+        sustain: field('sustain'),
+        release: field('release'),
+    };
+    if (isNaN(filter.cutoff) || filter.cutoff < 20 || filter.cutoff > 20000 ||
+        isNaN(filter.resonance) || filter.resonance < 0.1 || filter.resonance > 30 ||
+        isNaN(filter.envelopeAmount) || filter.envelopeAmount < -8 || filter.envelopeAmount > 8 ||
+        isNaN(filter.keyTracking) || filter.keyTracking < 0 || filter.keyTracking > 1 ||
+        isNaN(filter.attack) || filter.attack < 0.001 || isNaN(filter.decay) || filter.decay < 0.001 ||
+        isNaN(filter.sustain) || filter.sustain < 0 || filter.sustain > 1 ||
+        isNaN(filter.release) || filter.release < 0.001) {
+        return null;
+    }
+    return filter;
+}
+
+/**
+ * Renders one stem checkbox per track into the Export Audio panel, all checked.
+ * @param {object} panelManagerInstance - The PanelManager instance.
+ * @param {number} numTracks - Number of tracks in the song.
+ */
+function populateExportPanel(panelManagerInstance, numTracks) {
+    const panel = panelManagerInstance.getPanel('export-panel');
+    if (!panel || !panel.panelElement) {
+        console.warn("Export panel not found or not rendered for population.");
+        return;
+    }
+    const tracksElement = panel.panelElement.querySelector('#export-stem-tracks');
+    tracksElement.innerHTML = '';
+    for (let trackIndex = 0; trackIndex < numTracks; trackIndex++) {
+        const label = document.createElement('label');
+        label.innerHTML = `<input type="checkbox" class="export-stem-track" value="${trackIndex}" checked> Track ${trackIndex + 1}`;
+        tracksElement.appendChild(label);
+    }
+}
+
+/**
+ * Lists the loaded samples in the Sample Library panel.
+ * @param {object} audioEngineInstance - The AudioEngine instance.
+ * @param {object} panelManagerInstance - The PanelManager instance.
+ */
+function populateSampleLibraryPanel(audioEngineInstance, panelManagerInstance) {
+    const panel = panelManagerInstance.getPanel('sample-library-panel');
+    if (!panel || !panel.panelElement) {
+        console.warn("Sample library panel not found or not rendered for population.");
+        return;
+    }
+    const listElement = panel.panelElement.querySelector('#sample-list');
+    listElement.innerHTML = '';
+    audioEngineInstance.sampleBuffers.forEach((buffer, key) => {
+        const item = document.createElement('li');
+        item.dataset.sampleKey = key;
+        const label = document.createElement('span');
+        label.textContent = `${key} (${buffer.duration.toFixed(2)}s)`;
+        const previewButton = document.createElement('button');
+        previewButton.className = 'sample-preview';
+        previewButton.textContent = 'Play';
+        item.append(previewButton, label);
+        listElement.appendChild(item);
+    });
+}
+
+/**
+ * Returns the project name entered in the Project Settings panel.
+ * @param {object} panelManagerInstance - The PanelManager instance.
+ * @returns {string} The project name, or an empty string.
+ */
+function getProjectName(panelManagerInstance) {
+    const panel = panelManagerInstance.getPanel('project-settings-panel');
+    const nameInput = panel && panel.panelElement ? panel.panelElement.querySelector('#project-name') : null;
+    return nameInput ? nameInput.value : '';
 }
 
 function gatherProjectData(audioEngineInstance, trackerGridInstance) {
@@ -70,8 +554,15 @@ function gatherProjectData(audioEngineInstance, trackerGridInstance) {
     }
     return {
         bpm: audioEngineInstance.bpm,
+        rowsPerBeat: audioEngineInstance.rowsPerBeat,
+        speed: audioEngineInstance.speed,
         instruments: audioEngineInstance.getInstrumentsData(),
-        pattern: trackerGridInstance.getPatternData(),
+        song: trackerGridInstance.getSong().toData(),
+        mixer: audioEngineInstance.getMixerData(trackerGridInstance.getSong().numTracks),
+        masterBitcrusher: audioEngineInstance.getMasterBitcrusherData(),
+        buses: audioEngineInstance.getBusData(),
+        chip: audioEngineInstance.chip,
+        tuning: audioEngineInstance.getTuningData(),
         currentEditingInstrumentId: currentEditingInstrumentId,
         savedAt: new Date().toISOString()
     };
@@ -84,13 +575,40 @@ function applyProjectData(data, audioEngineInstance, trackerGridInstance, panelM
     }
 
     if (data.bpm) audioEngineInstance.setBPM(data.bpm);
-    if (data.instruments) audioEngineInstance.loadInstrumentsData(data.instruments);
-    if (data.pattern) trackerGridInstance.setPatternData(data.pattern);
+    // Projects saved before rows-per-beat existed played one row per beat
+    audioEngineInstance.setRowsPerBeat(data.rowsPerBeat || 1);
+    audioEngineInstance.setSpeed(data.speed || 6);
+    // The song keeps its saved track count; projects saved before chips existed are unrestricted
+    const chip = CHIP_PROFILES[data.chip] ? data.chip : DEFAULT_CHIP;
+    audioEngineInstance.setChip(chip);
+    audioEngineInstance.setTuning(data.tuning); // Older projects get standard tuning
+    if (data.instruments) {
+        audioEngineInstance.loadInstrumentsData(data.instruments);
+        updateGridInstruments(trackerGridInstance, audioEngineInstance);
+        populateNoteEntryPanel(trackerGridInstance, audioEngineInstance, panelManagerInstance);
+        // Samples are saved by URL only; fetch them again so sample instruments can play
+        audioEngineInstance.loadInstrumentSamples().then(() => populateSampleLibraryPanel(audioEngineInstance, panelManagerInstance));
+    }
+    let song = null;
+    if (data.song) song = Song.fromData(data.song);
+    else if (data.pattern) song = Song.fromPatternData(data.pattern); // Projects saved before songs had an order list
+    if (song) {
+        trackerGridInstance.setSong(song);
+        audioEngineInstance.setSong(song);
+        selectedOrderIndex = 0;
+    }
+    audioEngineInstance.loadMixerData(data.mixer); // Older projects have no mixer data and get default strips
+    audioEngineInstance.setMasterBitcrusher(data.masterBitcrusher);
+    audioEngineInstance.loadBusData(data.buses); // Older projects get the default send buses
+    updateTrackNames(trackerGridInstance, chip);
     if (data.currentEditingInstrumentId) currentEditingInstrumentId = data.currentEditingInstrumentId;
     else currentEditingInstrumentId = '01'; // Fallback if not in saved data
 
     populateProjectSettingsForm(audioEngineInstance, panelManagerInstance);
     populateInstrumentEditorForm(currentEditingInstrumentId, audioEngineInstance, panelManagerInstance);
+    populateOrderListPanel(trackerGridInstance, panelManagerInstance);
+    populateMixerPanel(audioEngineInstance, panelManagerInstance, trackerGridInstance.getSong().numTracks);
+    populateExportPanel(panelManagerInstance, trackerGridInstance.getSong().numTracks);
 
     console.log("Project data applied. Loaded project saved at:", data.savedAt || "Unknown");
 }
@@ -105,7 +623,7 @@ async function loadConfigAndInitialize() {
         console.log("Configuration loaded:", config);
     } catch (error) {
         console.error("Failed to load config.json. Using default values.", error);
-        config = { bpmDefault: 120, audioVolume: 0.7 };
+        config = { bpmDefault: 120, rowsPerBeatDefault: 4, speedDefault: 6, audioVolume: 0.7 };
     }
 
     if (!audioEngine.init()) {
@@ -115,7 +633,11 @@ async function loadConfigAndInitialize() {
     }
     audioEngine.setMasterVolume(config.audioVolume !== undefined ? config.audioVolume : 0.7);
     audioEngine.setBPM(config.bpmDefault !== undefined ? config.bpmDefault : 120);
-    console.log(`Initial BPM: ${audioEngine.bpm}, Volume: ${audioEngine.masterGain.gain.value.toFixed(2)}`);
+    audioEngine.setRowsPerBeat(config.rowsPerBeatDefault !== undefined ? config.rowsPerBeatDefault : 4);
+    audioEngine.setSpeed(config.speedDefault !== undefined ? config.speedDefault : 6);
+    audioEngine.setArpeggiatorEnabled(config.enableArpeggiator !== false);
+    audioEngine.setBitcrusherEnabled(config.enableBitcrusher !== false);
+    console.log(`Initial BPM: ${audioEngine.bpm}, Rows/Beat: ${audioEngine.rowsPerBeat}, Speed: ${audioEngine.speed}, Volume: ${audioEngine.masterGain.gain.value.toFixed(2)}`);
 
     panelManager = new PanelManager();
     const controlPanelsContainer = document.getElementById('control-panels-container');
@@ -130,7 +652,8 @@ async function loadConfigAndInitialize() {
         trackerGrid.init();
         console.log("TrackerGrid initialized.");
         audioEngine.setTrackerGrid(trackerGrid);
-        audioEngine.setOnStepChange((step) => { if (trackerGrid) trackerGrid.setPlayingRow(step); });
+        audioEngine.setSong(trackerGrid.getSong());
+        audioEngine.setOnStepChange(handlePlaybackStep);
     } else { console.error("Tracker grid container not found."); }
 
     const transportContainer = document.getElementById('transport-controls-container');
@@ -161,15 +684,61 @@ async function loadConfigAndInitialize() {
     });
     audioEngine.loadInstrument({
         id: '02', name: 'Basic Kick', waveform: 'sine',
-        volume: 0.8, attack: 0.005, decay: 0.1, sustainLevel: 0.1, releaseTime: 0.05
+        volume: 0.8, attack: 0.005, decay: 0.1, sustainLevel: 0.1, releaseTime: 0.05,
+        pitchEnvelope: { enabled: true, startOffset: 36, time: 0.08, curve: 'exponential' }
+    });
+    audioEngine.loadInstrument({
+        id: '03', name: 'Basic Snare', waveform: 'triangle', noiseMix: 0.7, noiseMode: 'long',
+        volume: 0.7, attack: 0.002, decay: 0.15, sustainLevel: 0, releaseTime: 0.05,
+        pitchEnvelope: { enabled: true, startOffset: 12, time: 0.03, curve: 'exponential' }
     });
     console.log("Default instruments loaded.");
+    if (trackerGrid) updateGridInstruments(trackerGrid, audioEngine);
 
     if (panelManager) {
         const instrEditorPanelElement = panelManager.getPanel('instrument-editor-panel')?.panelElement;
         if (instrEditorPanelElement) {
+            if (!audioEngine.arpeggiatorEnabled) {
+                instrEditorPanelElement.querySelector('#inst-arpeggiator-settings').style.display = 'none';
+            }
+            if (!audioEngine.bitcrusherEnabled) {
+                instrEditorPanelElement.querySelector('#inst-bitcrusher-settings').style.display = 'none';
+            }
+            wavetableEditor = new WavetableEditor(instrEditorPanelElement.querySelector('#inst-wavetable-editor'));
+            wavetableEditor.init();
+            macroEditor = new MacroEditor(instrEditorPanelElement.querySelector('#inst-macro-editor'));
+            macroEditor.init();
             populateInstrumentEditorForm(currentEditingInstrumentId, audioEngine, panelManager);
 
+            instrEditorPanelElement.querySelector('#inst-type').addEventListener('change', () => updateInstrumentEditorSections(instrEditorPanelElement));
+            instrEditorPanelElement.querySelector('#inst-waveform').addEventListener('change', () => updateInstrumentEditorSections(instrEditorPanelElement));
+            instrEditorPanelElement.querySelector('#inst-noise-mix').addEventListener('input', () => updateInstrumentEditorSections(instrEditorPanelElement));
+            instrEditorPanelElement.querySelector('#inst-wavetable-preset-button').addEventListener('click', () => {
+                wavetableEditor.applyPreset(instrEditorPanelElement.querySelector('#inst-wavetable-preset').value);
+            });
+            instrEditorPanelElement.querySelector('#inst-macro-type').addEventListener('change', (event) => {
+                macroEditor.selectType(event.target.value);
+                updateMacroFields(instrEditorPanelElement);
+            });
+            instrEditorPanelElement.querySelector('#inst-macro-length').addEventListener('change', (event) => {
+                macroEditor.setLength(parseInt(event.target.value));
+                updateMacroFields(instrEditorPanelElement); // Shows the clamped length and any dropped loop/release point
+            });
+            const applyMacroPoints = () => {
+                macroEditor.setLoopAndRelease(
+                    parseInt(instrEditorPanelElement.querySelector('#inst-macro-loop').value),
+                    parseInt(instrEditorPanelElement.querySelector('#inst-macro-release').value));
+                updateMacroFields(instrEditorPanelElement);
+            };
+            instrEditorPanelElement.querySelector('#inst-macro-loop').addEventListener('change', applyMacroPoints);
+            instrEditorPanelElement.querySelector('#inst-macro-release').addEventListener('change', applyMacroPoints);
+
+            // Effect chain edits apply to the instrument with "Update Selected Instrument"
+            setupEffectChainEditor(
+                instrEditorPanelElement.querySelector('#inst-effects-list'),
+                instrEditorPanelElement.querySelector('#inst-effect-add-type'),
+                instrEditorPanelElement.querySelector('#inst-effect-add-button'));
+
             const loadSelectedButton = instrEditorPanelElement.querySelector('#load-selected-instr-button');
             if (loadSelectedButton) {
                 loadSelectedButton.addEventListener('click', () => {
@@ -184,14 +753,18 @@ async function loadConfigAndInitialize() {
 
             const updateInstrButton = instrEditorPanelElement.querySelector('#update-instrument-button');
             if (updateInstrButton) {
-                updateInstrButton.addEventListener('click', () => {
+                updateInstrButton.addEventListener('click', async () => {
                     const instrumentIdToUpdate = currentEditingInstrumentId;
-                    const waveform = instrEditorPanelElement.querySelector('#inst-waveform').value;
+                    const type = instrEditorPanelElement.querySelector('#inst-type').value;
+                    // Only synths have a waveform (and a pulse width); the hidden field is not saved for other types
+                    const waveform = type === 'synth' ? instrEditorPanelElement.querySelector('#inst-waveform').value : undefined;
                     const volume = parseFloat(instrEditorPanelElement.querySelector('#inst-volume').value);
                     const attack = parseFloat(instrEditorPanelElement.querySelector('#inst-attack').value);
                     const decay = parseFloat(instrEditorPanelElement.querySelector('#inst-decay').value);
                     const sustainLevel = parseFloat(instrEditorPanelElement.querySelector('#inst-sustain').value);
                     const releaseTime = parseFloat(instrEditorPanelElement.querySelector('#inst-release').value);
+                    const transpose = parseInt(instrEditorPanelElement.querySelector('#inst-transpose').value);
+                    const fineTune = parseFloat(instrEditorPanelElement.querySelector('#inst-fine-tune').value);
 
                     let existingInstrument = audioEngine.getInstrument(instrumentIdToUpdate);
                     const newName = (existingInstrument && existingInstrument.id === instrumentIdToUpdate) ? existingInstrument.name : `Instrument ${instrumentIdToUpdate}`;
@@ -202,11 +775,98 @@ async function loadConfigAndInitialize() {
                         isNaN(releaseTime) || releaseTime < 0.001 ) {
                          alert("Error: Invalid instrument parameters. Volume 0-1. Attack/Decay/Release >= 0.001. Sustain 0-1."); return;
                     }
+                    if (isNaN(transpose) || transpose < -24 || transpose > 24 || isNaN(fineTune) || fineTune < -100 || fineTune > 100) {
+                        alert("Error: Transpose must be -24 to 24 semitones and fine tune -100 to 100 cents."); return;
+                    }
                     const updatedInstrumentData = {
-                        id: instrumentIdToUpdate, name: newName,
-                        waveform, volume, attack, decay, sustainLevel, releaseTime
+                        id: instrumentIdToUpdate, name: newName, type,
+                        waveform, volume, attack, decay, sustainLevel, releaseTime, transpose, fineTune
+                    };
+                    const filter = readFilterForm(instrEditorPanelElement);
+                    if (!filter) {
+                        alert("Error: Invalid filter settings. Cutoff 20-20000 Hz, resonance 0.1-30, envelope amount -8 to 8 octaves, key tracking 0-1, sustain 0-1, attack/decay/release >= 0.001."); return;
+                    }
+                    updatedInstrumentData.filter = filter;
+                    if (audioEngine.arpeggiatorEnabled) {
+                        const chord = instrEditorPanelElement.querySelector('#inst-arp-chord').value;
+                        const semitones = parseSemitoneList(instrEditorPanelElement.querySelector('#inst-arp-semitones').value);
+                        const rate = parseInt(instrEditorPanelElement.querySelector('#inst-arp-rate').value);
+                        if ((chord === 'custom' && !semitones) || isNaN(rate) || rate < 1 || rate > 16) {
+                            alert("Error: Arpeggiator rate must be 1-16 ticks, and custom semitones a list like \"0 4 7\" (-24 to 24)."); return;
+                        }
+                        updatedInstrumentData.arpeggiator = {
+                            enabled: instrEditorPanelElement.querySelector('#inst-arp-enabled').checked,
+                            chord,
+                            semitones: semitones || [0, 4, 7],
+                            mode: instrEditorPanelElement.querySelector('#inst-arp-mode').value,
+                            rate,
+                        };
+                    } else if (existingInstrument.id === instrumentIdToUpdate && existingInstrument.arpeggiator) {
+                        updatedInstrumentData.arpeggiator = existingInstrument.arpeggiator; // Kept for when the feature is turned back on
+                    }
+                    if (audioEngine.bitcrusherEnabled) {
+                        const bitcrusher = readBitcrusherForm(instrEditorPanelElement, 'inst-bitcrusher');
+                        if (!bitcrusher) { alert("Error: Bitcrusher bit depth must be 1-16 and crush rate 100-48000 Hz."); return; }
+                        updatedInstrumentData.bitcrusher = bitcrusher;
+                    } else if (existingInstrument.id === instrumentIdToUpdate && existingInstrument.bitcrusher) {
+                        updatedInstrumentData.bitcrusher = existingInstrument.bitcrusher; // Kept for when the feature is turned back on
+                    }
+                    const effects = readEffectChain(instrEditorPanelElement.querySelector('#inst-effects-list'));
+                    if (!effects) {
+                        alert("Error: Invalid effect settings. Mix must be 0-1 and every value within its range."); return;
+                    }
+                    updatedInstrumentData.effects = effects;
+                    const macros = macroEditor.getMacros();
+                    if (Object.keys(macros).length > 0) {
+                        updatedInstrumentData.macros = macros;
+                    }
+                    if (type === 'wavetable') {
+                        updatedInstrumentData.wavetable = wavetableEditor.getTable();
+                    }
+                    if (waveform === 'pulse') {
+                        updatedInstrumentData.duty = parseFloat(instrEditorPanelElement.querySelector('#inst-duty').value);
+                    }
+                    if (type === 'synth' && waveform !== 'noise') {
+                        const noiseMix = parseFloat(instrEditorPanelElement.querySelector('#inst-noise-mix').value);
+                        if (isNaN(noiseMix) || noiseMix < 0 || noiseMix > 1) { alert("Error: Noise Mix must be 0-1."); return; }
+                        if (noiseMix > 0) updatedInstrumentData.noiseMix = noiseMix;
+                    }
+                    if (waveform === 'noise' || updatedInstrumentData.noiseMix) {
+                        updatedInstrumentData.noiseMode = instrEditorPanelElement.querySelector('#inst-noise-mode').value;
+                    }
+                    const pitchEnvelope = {
+                        enabled: instrEditorPanelElement.querySelector('#inst-pitchenv-enabled').checked,
+                        startOffset: parseInt(instrEditorPanelElement.querySelector('#inst-pitchenv-offset').value),
+                        time: parseFloat(instrEditorPanelElement.querySelector('#inst-pitchenv-time').value),
+                        curve: instrEditorPanelElement.querySelector('#inst-pitchenv-curve').value,
                     };
+                    if (isNaN(pitchEnvelope.startOffset) || pitchEnvelope.startOffset < -48 || pitchEnvelope.startOffset > 48 ||
+                        isNaN(pitchEnvelope.time) || pitchEnvelope.time < 0.001 || pitchEnvelope.time > 5) {
+                        alert("Error: Pitch envelope start must be -48 to 48 semitones and sweep 0.001-5 s."); return;
+                    }
+                    updatedInstrumentData.pitchEnvelope = pitchEnvelope;
+                    if (type === 'sample') {
+                        const sampleUrl = instrEditorPanelElement.querySelector('#inst-sample-url').value.trim();
+                        const rootNoteNumber = audioEngine.parseNoteNumber(instrEditorPanelElement.querySelector('#inst-root-note').value);
+                        const loopMode = instrEditorPanelElement.querySelector('#inst-loop-mode').value;
+                        const loopStart = parseFloat(instrEditorPanelElement.querySelector('#inst-loop-start').value);
+                        const loopEnd = parseFloat(instrEditorPanelElement.querySelector('#inst-loop-end').value);
+                        if (!sampleUrl || rootNoteNumber === null ||
+                            isNaN(loopStart) || loopStart < 0 || isNaN(loopEnd) || loopEnd < 0 || (loopEnd > 0 && loopEnd <= loopStart)) {
+                            alert("Error: Invalid sample settings. A sample URL and a root note like C-4 are required. Loop End must be 0 or after Loop Start."); return;
+                        }
+                        if (!await audioEngine.loadSound(sampleUrl)) {
+                            alert(`Error: Could not load sample '${sampleUrl}'.`); return;
+                        }
+                        populateSampleLibraryPanel(audioEngine, panelManager);
+                        const rootNote = formatNote(rootNoteNumber);
+                        Object.assign(updatedInstrumentData, { sampleUrl, rootNote, loopMode, loopStart, loopEnd });
+                    }
                     audioEngine.loadInstrument(updatedInstrumentData);
+                    if (trackerGrid) {
+                        updateGridInstruments(trackerGrid, audioEngine);
+                        populateNoteEntryPanel(trackerGrid, audioEngine, panelManager);
+                    }
                     populateInstrumentEditorForm(instrumentIdToUpdate, audioEngine, panelManager);
                     alert(`Instrument '${instrumentIdToUpdate}' updated successfully!`);
                 });
@@ -215,6 +875,18 @@ async function loadConfigAndInitialize() {
 
         const projSettingsPanelElement = panelManager.getPanel('project-settings-panel')?.panelElement;
         if (projSettingsPanelElement) {
+            const chipSelect = projSettingsPanelElement.querySelector('#setting-chip');
+            Object.entries(CHIP_PROFILES).forEach(([chip, profile]) => {
+                chipSelect.add(new Option(profile.label, chip));
+            });
+            chipSelect.addEventListener('change', () => describeChipChannels(projSettingsPanelElement));
+            const temperamentSelect = projSettingsPanelElement.querySelector('#setting-temperament');
+            Object.entries(TEMPERAMENTS).forEach(([temperament, { label }]) => {
+                temperamentSelect.add(new Option(label, temperament));
+            });
+            temperamentSelect.addEventListener('change', () => updateTuningFields(projSettingsPanelElement));
+            const tonicSelect = projSettingsPanelElement.querySelector('#setting-tonic');
+            TONIC_NAMES.forEach((name, semitone) => tonicSelect.add(new Option(name, semitone)));
             populateProjectSettingsForm(audioEngine, panelManager);
             const updateSettingsButton = projSettingsPanelElement.querySelector('#update-project-settings-button');
             if (updateSettingsButton) {
@@ -225,7 +897,49 @@ async function loadConfigAndInitialize() {
                         alert("Error: BPM must be a number between 20 and 999.");
                         populateProjectSettingsForm(audioEngine, panelManager); return;
                     }
+                    const newRowsPerBeat = parseInt(projSettingsPanelElement.querySelector('#setting-rows-per-beat').value);
+                    if (isNaN(newRowsPerBeat) || newRowsPerBeat < 1 || newRowsPerBeat > 32) {
+                        alert("Error: Rows per beat must be a number between 1 and 32.");
+                        populateProjectSettingsForm(audioEngine, panelManager); return;
+                    }
+                    const newSpeed = parseInt(projSettingsPanelElement.querySelector('#setting-speed').value);
+                    if (isNaN(newSpeed) || newSpeed < 1 || newSpeed > 31) {
+                        alert("Error: Speed must be a number between 1 and 31.");
+                        populateProjectSettingsForm(audioEngine, panelManager); return;
+                    }
+                    const tuning = {
+                        referencePitch: parseFloat(projSettingsPanelElement.querySelector('#setting-reference-pitch').value),
+                        temperament: temperamentSelect.value,
+                        tonic: parseInt(tonicSelect.value),
+                        scala: projSettingsPanelElement.querySelector('#setting-scala').value,
+                    };
+                    if (isNaN(tuning.referencePitch) || tuning.referencePitch < 300 || tuning.referencePitch > 600) {
+                        alert("Error: Reference pitch must be between 300 and 600 Hz.");
+                        populateProjectSettingsForm(audioEngine, panelManager); return;
+                    }
+                    if (tuning.temperament === 'custom' && !parseScala(tuning.scala)) {
+                        alert("Error: The scale is not valid Scala .scl text (a description line, the number of notes, then one pitch per line in cents or as a ratio)."); return;
+                    }
+                    const newChip = chipSelect.value;
+                    if (newChip !== audioEngine.chip && trackerGrid) {
+                        // The song gets one track per channel of the new chip
+                        const song = trackerGrid.getSong();
+                        const newTracks = getChipTrackCount(CHIP_PROFILES[newChip]);
+                        if (newTracks < song.numTracks && song.hasDataInTracks(newTracks) &&
+                            !confirm(`${CHIP_PROFILES[newChip].label} has ${newTracks} tracks. Delete everything in tracks ${newTracks + 1}-${song.numTracks}?`)) {
+                            populateProjectSettingsForm(audioEngine, panelManager); return;
+                        }
+                        audioEngine.setChip(newChip);
+                        song.setNumTracks(newTracks);
+                        trackerGrid.showPattern(trackerGrid.getCurrentPatternIndex());
+                        updateTrackNames(trackerGrid, newChip);
+                        populateMixerPanel(audioEngine, panelManager, newTracks);
+                        populateExportPanel(panelManager, newTracks);
+                    }
                     audioEngine.setBPM(newBPM);
+                    audioEngine.setRowsPerBeat(newRowsPerBeat);
+                    audioEngine.setSpeed(newSpeed);
+                    audioEngine.setTuning(tuning);
                     populateProjectSettingsForm(audioEngine, panelManager);
                     alert("Project settings updated!");
                 });
@@ -258,6 +972,214 @@ async function loadConfigAndInitialize() {
                 });
             }
         }
+
+        const noteEntryPanelElement = panelManager.getPanel('note-entry-panel')?.panelElement;
+        if (noteEntryPanelElement && trackerGrid) {
+            populateNoteEntryPanel(trackerGrid, audioEngine, panelManager);
+
+            noteEntryPanelElement.querySelector('#entry-octave').addEventListener('change', (event) => {
+                if (!trackerGrid.setOctave(parseInt(event.target.value))) {
+                    alert(`Error: Octave must be between 0 and ${MAX_OCTAVE}.`);
+                    event.target.value = trackerGrid.octave;
+                }
+            });
+            noteEntryPanelElement.querySelector('#entry-edit-step').addEventListener('change', (event) => {
+                if (!trackerGrid.setEditStep(parseInt(event.target.value))) {
+                    alert(`Error: Edit step must be between 0 and ${MAX_EDIT_STEP}.`);
+                    event.target.value = trackerGrid.editStep;
+                }
+            });
+            noteEntryPanelElement.querySelector('#entry-instrument').addEventListener('change', (event) => {
+                trackerGrid.setCurrentInstrument(event.target.value);
+            });
+            trackerGrid.setOnEntrySettingsChange(() => populateNoteEntryPanel(trackerGrid, audioEngine, panelManager));
+            trackerGrid.setOnNoteEntered((noteNumber, instrumentId, track) => {
+                if (noteEntryPanelElement.querySelector('#entry-audition').checked) {
+                    audioEngine.auditionNote(noteNumber, instrumentId, track);
+                }
+            });
+        }
+
+        const orderListPanelElement = panelManager.getPanel('order-list-panel')?.panelElement;
+        if (orderListPanelElement && trackerGrid) {
+            populateOrderListPanel(trackerGrid, panelManager);
+
+            orderListPanelElement.querySelector('#order-list').addEventListener('click', (event) => {
+                const item = event.target.closest('li[data-order]');
+                if (item) selectOrder(parseInt(item.dataset.order));
+            });
+
+            orderListPanelElement.querySelector('#order-set-pattern-button').addEventListener('click', () => {
+                const patternIndex = parseInt(orderListPanelElement.querySelector('#order-pattern-input').value);
+                if (isNaN(patternIndex) || patternIndex < 0 || patternIndex > 255) {
+                    alert("Error: Pattern number must be between 0 and 255."); return;
+                }
+                trackerGrid.getSong().setOrder(selectedOrderIndex, patternIndex);
+                selectOrder(selectedOrderIndex);
+            });
+
+            orderListPanelElement.querySelector('#order-insert-button').addEventListener('click', () => {
+                const song = trackerGrid.getSong();
+                song.insertOrder(selectedOrderIndex + 1, song.getPatternIndexAtOrder(selectedOrderIndex));
+                selectOrder(selectedOrderIndex + 1);
+            });
+
+            orderListPanelElement.querySelector('#order-remove-button').addEventListener('click', () => {
+                trackerGrid.getSong().removeOrder(selectedOrderIndex);
+                selectOrder(selectedOrderIndex);
+            });
+
+            orderListPanelElement.querySelector('#order-new-pattern-button').addEventListener('click', () => {
+                const song = trackerGrid.getSong();
+                const patternIndex = song.getFreePatternIndex();
+                if (patternIndex === -1) { alert("Error: All 256 patterns are in use."); return; }
+                song.insertOrder(selectedOrderIndex + 1, patternIndex);
+                selectOrder(selectedOrderIndex + 1);
+            });
+
+            orderListPanelElement.querySelector('#order-clone-pattern-button').addEventListener('click', () => {
+                const song = trackerGrid.getSong();
+                const patternIndex = song.clonePattern(song.getPatternIndexAtOrder(selectedOrderIndex));
+                if (patternIndex === -1) { alert("Error: All 256 patterns are in use."); return; }
+                song.insertOrder(selectedOrderIndex + 1, patternIndex);
+                selectOrder(selectedOrderIndex + 1);
+            });
+        }
+
+        const sampleLibraryPanelElement = panelManager.getPanel('sample-library-panel')?.panelElement;
+        if (sampleLibraryPanelElement) {
+            populateSampleLibraryPanel(audioEngine, panelManager);
+
+            sampleLibraryPanelElement.querySelector('#sample-load-button').addEventListener('click', async () => {
+                const url = sampleLibraryPanelElement.querySelector('#sample-load-url').value.trim();
+                if (!url) { alert("Please enter a sample URL to load."); return; }
+                if (!await audioEngine.loadSound(url)) { alert(`Error: Could not load sample '${url}'.`); return; }
+                populateSampleLibraryPanel(audioEngine, panelManager);
+            });
+
+            sampleLibraryPanelElement.querySelector('#sample-list').addEventListener('click', (event) => {
+                const item = event.target.closest('li[data-sample-key]');
+                if (!item || !event.target.classList.contains('sample-preview')) return;
+                audioEngine.playSound(audioEngine.getSound(item.dataset.sampleKey), audioEngine.getCurrentTime());
+            });
+        }
+
+        const exportPanelElement = panelManager.getPanel('export-panel')?.panelElement;
+        if (exportPanelElement && trackerGrid) {
+            populateExportPanel(panelManager, trackerGrid.getSong().numTracks);
+            exportPanelElement.querySelector('#export-sample-rate').value = SAMPLE_RATE;
+
+            // Reads and validates the shared export options; returns null after alerting on invalid input
+            const readExportOptions = () => {
+                const loops = parseInt(exportPanelElement.querySelector('#export-loops').value);
+                const fadeOutTime = parseFloat(exportPanelElement.querySelector('#export-fade-out').value);
+                if (isNaN(loops) || loops < 1 || loops > 16 || isNaN(fadeOutTime) || fadeOutTime < 0 || fadeOutTime > 30) {
+                    alert("Error: Loops must be 1-16 and the fade-out tail 0-30 seconds."); return null;
+                }
+                return {
+                    loops,
+                    fadeOutTime,
+                    sampleRate: parseInt(exportPanelElement.querySelector('#export-sample-rate').value),
+                    bitDepth: parseInt(exportPanelElement.querySelector('#export-bit-depth').value),
+                };
+            };
+
+            const exportWavButton = exportPanelElement.querySelector('#export-wav-button');
+            exportWavButton.addEventListener('click', async () => {
+                const options = readExportOptions();
+                if (!options) return;
+                exportWavButton.disabled = true;
+                exportWavButton.textContent = 'Rendering...';
+                try {
+                    const renderedBuffer = await audioEngine.renderSong(options);
+                    downloadFile(encodeWav(renderedBuffer, options.bitDepth), `${toFileName(getProjectName(panelManager))}.wav`, 'audio/wav');
+                } catch (e) { alert('Error rendering audio.'); console.error(e); }
+                finally {
+                    exportWavButton.disabled = false;
+                    exportWavButton.textContent = 'Export WAV';
+                }
+            });
+
+            const exportStemsButton = exportPanelElement.querySelector('#export-stems-button');
+            exportStemsButton.addEventListener('click', async () => {
+                const options = readExportOptions();
+                if (!options) return;
+                const selectedTracks = Array.from(exportPanelElement.querySelectorAll('.export-stem-track:checked'))
+                    .map(checkbox => parseInt(checkbox.value));
+                if (selectedTracks.length === 0) { alert("Error: Select at least one track to export."); return; }
+
+                const baseName = toFileName(getProjectName(panelManager));
+                exportStemsButton.disabled = true;
+                try {
+                    // One render and download at a time keeps memory use down on long songs
+                    for (const trackIndex of selectedTracks) {
+                        exportStemsButton.textContent = `Rendering Track ${trackIndex + 1}...`;
+                        const renderedBuffer = await audioEngine.renderSong({ ...options, tracks: [trackIndex] });
+                        downloadFile(encodeWav(renderedBuffer, options.bitDepth), `${baseName}_track${trackIndex + 1}.wav`, 'audio/wav');
+                    }
+                } catch (e) { alert('Error rendering stems.'); console.error(e); }
+                finally {
+                    exportStemsButton.disabled = false;
+                    exportStemsButton.textContent = 'Export Stems';
+                }
+            });
+        }
+
+        const mixerPanelElement = panelManager.getPanel('mixer-panel')?.panelElement;
+        if (mixerPanelElement && trackerGrid) {
+            populateMixerPanel(audioEngine, panelManager, trackerGrid.getSong().numTracks);
+            const stripsElement = mixerPanelElement.querySelector('#mixer-strips');
+
+            stripsElement.addEventListener('input', (event) => {
+                const strip = event.target.closest('.mixer-strip');
+                if (!strip) return;
+                const trackIndex = parseInt(strip.dataset.track);
+                const value = parseFloat(event.target.value);
+                if (event.target.classList.contains('mixer-volume')) audioEngine.setTrackVolume(trackIndex, value);
+                else if (event.target.classList.contains('mixer-pan')) audioEngine.setTrackPan(trackIndex, value);
+                else if (event.target.classList.contains('mixer-send')) audioEngine.setTrackSend(trackIndex, parseInt(event.target.dataset.send), value);
+            });
+
+            stripsElement.addEventListener('click', (event) => {
+                const strip = event.target.closest('.mixer-strip');
+                if (!strip || event.target.tagName !== 'BUTTON') return;
+                const trackIndex = parseInt(strip.dataset.track);
+                const channelStrip = audioEngine.getChannelStrip(trackIndex);
+                if (event.target.classList.contains('mixer-mute')) audioEngine.setTrackMute(trackIndex, !channelStrip.muted);
+                else if (event.target.classList.contains('mixer-solo')) audioEngine.setTrackSolo(trackIndex, !channelStrip.soloed);
+                populateMixerPanel(audioEngine, panelManager, trackerGrid.getSong().numTracks);
+            });
+
+            // Bus effect chains apply as soon as they are edited
+            setupEffectChainEditor(
+                mixerPanelElement.querySelector('#master-effects-list'),
+                mixerPanelElement.querySelector('#master-effect-add-type'),
+                mixerPanelElement.querySelector('#master-effect-add-button'),
+                effects => audioEngine.setMasterEffects(effects));
+            SEND_NAMES.forEach((name, sendIndex) => {
+                setupEffectChainEditor(
+                    mixerPanelElement.querySelector(`#send-${sendIndex}-effects-list`),
+                    mixerPanelElement.querySelector(`#send-${sendIndex}-effect-add-type`),
+                    mixerPanelElement.querySelector(`#send-${sendIndex}-effect-add-button`),
+                    effects => audioEngine.setSendBusEffects(sendIndex, effects));
+                mixerPanelElement.querySelector(`#send-${sendIndex}-level`).addEventListener('input', (event) => {
+                    audioEngine.setSendBusLevel(sendIndex, parseFloat(event.target.value));
+                });
+            });
+
+            const masterBitcrusherElement = mixerPanelElement.querySelector('#mixer-master-bitcrusher');
+            if (!audioEngine.bitcrusherEnabled) {
+                masterBitcrusherElement.style.display = 'none';
+            }
+            masterBitcrusherElement.addEventListener('change', () => {
+                const settings = readBitcrusherForm(masterBitcrusherElement, 'master-bitcrusher');
+                if (!settings) {
+                    alert("Error: Bitcrusher bit depth must be 1-16 and crush rate 100-48000 Hz.");
+                    populateMixerPanel(audioEngine, panelManager, trackerGrid.getSong().numTracks); return;
+                }
+                audioEngine.setMasterBitcrusher(settings);
+            });
+        }
     }
     console.log("Thunderbird Chiptune Composer: Initialization complete.");
 }
@@ -0,0 +1,262 @@
+/**
+ * @file Song model for Thunderbird Chiptune Composer.
+ * A song is a set of numbered patterns plus an order list that sequences them.
+ */
+
+import { CHIP_PROFILES, DEFAULT_CHIP, getChipTrackCount } from './audio/chips.js';
+import { EMPTY_NOTE, migrateNote } from './utils/formatters.js';
+
+export const DEFAULT_PATTERN_ROWS = 16;
+export const DEFAULT_SONG_TRACKS = getChipTrackCount(CHIP_PROFILES[DEFAULT_CHIP]); // One per channel of the default chip
+export const MAX_PATTERNS = 256;
+
+/**
+ * Creates an empty cell as stored in pattern data.
+ * @returns {object} A blank cell.
+ */
+export function createEmptyCell() {
+    return {
+        note: EMPTY_NOTE,
+        instrument: '--',
+        volume: '--',
+        effectCmd: '--',
+        effectVal: '--',
+    };
+}
+
+/**
+ * Brings saved pattern rows up to the current cell format, converting note text from older projects
+ * to note numbers.
+ * @param {Array<Array<object>>} patternData - The saved rows.
+ * @returns {Array<Array<object>>} The rows, with every cell's note a number.
+ */
+function migratePatternData(patternData) {
+    return patternData.map(row => row.map(cell => ({ ...createEmptyCell(), ...cell, note: migrateNote(cell.note) })));
+}
+
+/**
+ * Creates an empty data structure for a pattern.
+ * @param {number} rows - Number of rows.
+ * @param {number} tracks - Number of tracks.
+ * @returns {Array<Array<object>>} A 2D array (rows x tracks) of cells.
+ */
+export function createEmptyPatternData(rows, tracks) {
+    return Array(rows).fill(null).map(() =>
+        Array(tracks).fill(null).map(() => createEmptyCell())
+    );
+}
+
+/**
+ * Tells whether a number can be a pattern number.
+ * @param {*} patternIndex - The value to check.
+ * @returns {boolean} True for integers from 0 to MAX_PATTERNS - 1.
+ */
+function isValidPatternIndex(patternIndex) {
+    return Number.isInteger(patternIndex) && patternIndex >= 0 && patternIndex < MAX_PATTERNS;
+}
+
+class Song {
+    /**
+     * Creates an instance of Song with a single empty pattern in the order list.
+     * @param {number} [numTracks=DEFAULT_SONG_TRACKS] - Number of tracks shared by every pattern.
+     * @param {number} [patternRows=DEFAULT_PATTERN_ROWS] - Row count for newly created patterns.
+     */
+    constructor(numTracks = DEFAULT_SONG_TRACKS, patternRows = DEFAULT_PATTERN_ROWS) {
+        this.numTracks = numTracks;
+        this.patternRows = patternRows;
+        this.patterns = []; // Indexed by pattern number; unused numbers stay empty until first referenced
+        this.orderList = [0]; // Sequence of pattern numbers
+        this.getPattern(0);
+    }
+
+    /**
+     * Returns a pattern by number, creating an empty one if it does not exist yet.
+     * @param {number} patternIndex - The pattern number (0-255).
+     * @returns {Array<Array<object>>|null} The pattern rows, or null if the number is out of range.
+     */
+    getPattern(patternIndex) {
+        if (!isValidPatternIndex(patternIndex)) {
+            console.warn(`Song.getPattern: Invalid pattern index ${patternIndex}`);
+            return null;
+        }
+        if (!this.patterns[patternIndex]) {
+            this.patterns[patternIndex] = createEmptyPatternData(this.patternRows, this.numTracks);
+        }
+        return this.patterns[patternIndex];
+    }
+
+    /**
+     * Replaces the rows of a pattern.
+     * @param {number} patternIndex - The pattern number.
+     * @param {Array<Array<object>>} data - The new pattern rows.
+     */
+    setPattern(patternIndex, data) {
+        if (!Array.isArray(data) || !isValidPatternIndex(patternIndex)) {
+            console.warn(`Song.setPattern: Invalid pattern ${patternIndex} or data.`);
+            return;
+        }
+        this.patterns[patternIndex] = data;
+    }
+
+    /**
+     * Returns the lowest pattern number that has never been created.
+     * @returns {number} A free pattern number, or -1 if all are in use.
+     */
+    getFreePatternIndex() {
+        for (let i = 0; i < MAX_PATTERNS; i++) {
+            if (!this.patterns[i]) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Copies a pattern into the first free pattern number.
+     * @param {number} patternIndex - The pattern to copy.
+     * @returns {number} The new pattern number, or -1 if none are free.
+     */
+    clonePattern(patternIndex) {
+        const source = this.getPattern(patternIndex);
+        const newIndex = this.getFreePatternIndex();
+        if (!source || newIndex === -1) return -1;
+        this.patterns[newIndex] = JSON.parse(JSON.stringify(source));
+        return newIndex;
+    }
+
+    /**
+     * Returns the number of rows in a pattern.
+     * @param {number} patternIndex - The pattern number.
+     * @returns {number} The row count.
+     */
+    getPatternLength(patternIndex) {
+        const pattern = this.getPattern(patternIndex);
+        return pattern ? pattern.length : 0;
+    }
+
+    /**
+     * Returns the pattern number at an order list position.
+     * @param {number} orderIndex - Position in the order list.
+     * @returns {number} The pattern number, or -1 if the position is out of range.
+     */
+    getPatternIndexAtOrder(orderIndex) {
+        if (orderIndex < 0 || orderIndex >= this.orderList.length) return -1;
+        return this.orderList[orderIndex];
+    }
+
+    /**
+     * Sets the pattern number played at an order list position.
+     * @param {number} orderIndex - Position in the order list.
+     * @param {number} patternIndex - The pattern number.
+     */
+    setOrder(orderIndex, patternIndex) {
+        if (orderIndex < 0 || orderIndex >= this.orderList.length || !this.getPattern(patternIndex)) {
+            console.warn(`Song.setOrder: Invalid order position ${orderIndex} or pattern ${patternIndex}.`);
+            return;
+        }
+        this.orderList[orderIndex] = patternIndex;
+    }
+
+    /**
+     * Inserts a pattern number into the order list.
+     * @param {number} orderIndex - Position to insert at.
+     * @param {number} patternIndex - The pattern number.
+     */
+    insertOrder(orderIndex, patternIndex) {
+        if (!this.getPattern(patternIndex)) return;
+        const position = Math.max(0, Math.min(this.orderList.length, orderIndex));
+        this.orderList.splice(position, 0, patternIndex);
+    }
+
+    /**
+     * Removes an order list entry. The order list always keeps at least one entry.
+     * @param {number} orderIndex - Position to remove.
+     */
+    removeOrder(orderIndex) {
+        if (this.orderList.length <= 1 || orderIndex < 0 || orderIndex >= this.orderList.length) return;
+        this.orderList.splice(orderIndex, 1);
+    }
+
+    /**
+     * Changes the number of tracks of every pattern, adding empty tracks or removing tracks from the right.
+     * @param {number} numTracks - The new track count.
+     */
+    setNumTracks(numTracks) {
+        if (!Number.isInteger(numTracks) || numTracks < 1) {
+            console.warn(`Song.setNumTracks: Invalid track count ${numTracks}.`);
+            return;
+        }
+        this.patterns.forEach(pattern => {
+            if (!pattern) return;
+            pattern.forEach(row => {
+                while (row.length < numTracks) row.push(createEmptyCell());
+                row.length = numTracks;
+            });
+        });
+        this.numTracks = numTracks;
+    }
+
+    /**
+     * Checks whether any pattern has something entered in a track at or beyond an index.
+     * @param {number} fromTrack - The first track index to check.
+     * @returns {boolean} True if a cell in those tracks is not empty.
+     */
+    hasDataInTracks(fromTrack) {
+        const emptyCell = createEmptyCell();
+        return this.patterns.some(pattern => pattern && pattern.some(row =>
+            row.slice(fromTrack).some(cell => Object.keys(emptyCell).some(key => cell[key] !== emptyCell[key]))
+        ));
+    }
+
+    /**
+     * Serializes the song for saving.
+     * @returns {object} Plain data with `numTracks`, `patternRows`, `patterns` and `orderList`.
+     */
+    toData() {
+        const patterns = {};
+        this.patterns.forEach((pattern, index) => {
+            if (pattern) patterns[index] = pattern;
+        });
+        return {
+            numTracks: this.numTracks,
+            patternRows: this.patternRows,
+            patterns,
+            orderList: this.orderList.slice(),
+        };
+    }
+
+    /**
+     * Creates a Song from saved data. Patterns with invalid numbers and invalid order list entries are dropped.
+     * @param {object} data - Data produced by toData().
+     * @returns {Song} The restored song.
+     */
+    static fromData(data) {
+        const song = new Song(data.numTracks || DEFAULT_SONG_TRACKS, data.patternRows || DEFAULT_PATTERN_ROWS);
+        song.patterns = [];
+        Object.keys(data.patterns || {}).forEach(key => {
+            song.setPattern(Number(key), migratePatternData(data.patterns[key]));
+        });
+        if (Array.isArray(data.orderList)) {
+            // Entries that are not pattern numbers would play as empty patterns, so they are dropped
+            const orderList = data.orderList.filter(isValidPatternIndex);
+            if (orderList.length < data.orderList.length) {
+                console.warn(`Song.fromData: Dropped ${data.orderList.length - orderList.length} invalid order list entries.`);
+            }
+            if (orderList.length > 0) song.orderList = orderList;
+        }
+        song.orderList.forEach(patternIndex => song.getPattern(patternIndex));
+        return song;
+    }
+
+    /**
+     * Creates a single-pattern Song from a bare pattern array (the pre-song project format).
+     * @param {Array<Array<object>>} patternData - The pattern rows.
+     * @returns {Song} The song.
+     */
+    static fromPatternData(patternData) {
+        const numTracks = patternData.length > 0 ? patternData[0].length : DEFAULT_SONG_TRACKS;
+        const song = new Song(numTracks, patternData.length || DEFAULT_PATTERN_ROWS);
+        song.setPattern(0, migratePatternData(patternData));
+        return song;
+    }
+}
+
+export default Song;
@@ -3,8 +3,68 @@
  * Handles the display and interaction with the main pattern editor.
  */
 
+import Song, { DEFAULT_SONG_TRACKS, createEmptyCell } from '../song.js';
+import { NOTE_OFF, NOTE_CUT, parseNote, formatNote, isPlayableNote } from '../utils/formatters.js';
+import { EFFECT, EXTENDED_EFFECT, parseEffectCommand, parseVolumeColumn } from '../audio/effect-commands.js';
+
 const DEFAULT_ROWS = 16;
-const DEFAULT_TRACKS = 4;
+
+// The columns of each track, left to right
+const COLUMN_KEYS = ['note', 'instrument', 'volume', 'effectCmd', 'effectVal'];
+// The columns entered as two hex digits
+const HEX_COLUMNS = ['instrument', 'volume', 'effectCmd', 'effectVal'];
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+// Tracker piano layout, by physical key (KeyboardEvent.code) in semitones above C of the current octave:
+// the bottom letter row plays the current octave and the top row the one above, with the sharps on the
+// row above each
+const PIANO_KEYS = Object.freeze({
+    KeyZ: 0, KeyS: 1, KeyX: 2, KeyD: 3, KeyC: 4, KeyV: 5, KeyG: 6, KeyB: 7, KeyH: 8, KeyN: 9, KeyJ: 10, KeyM: 11,
+    Comma: 12, KeyL: 13, Period: 14, Semicolon: 15, Slash: 16,
+    KeyQ: 12, Digit2: 13, KeyW: 14, Digit3: 15, KeyE: 16, KeyR: 17, Digit5: 18, KeyT: 19, Digit6: 20, KeyY: 21, Digit7: 22, KeyU: 23,
+    KeyI: 24, Digit9: 25, KeyO: 26, Digit0: 27, KeyP: 28,
+});
+export const DEFAULT_OCTAVE = 4;
+export const MAX_OCTAVE = 8; // The top row reaches into the octave above
+export const MAX_EDIT_STEP = 16;
+
+/**
+ * Checks a value entered in a hex column and brings it to the stored form.
+ * @param {string} columnKey - 'instrument', 'volume', 'effectCmd' or 'effectVal'.
+ * @param {string} text - The entered value.
+ * @param {object} cellData - The cell the value is for; Val is checked against the cell's command.
+ * @param {Array<string>|null} [instrumentIds=null] - The loaded instrument numbers, or null to accept any.
+ * @returns {string|null} Two uppercase hex digits, "--" for an empty value, or null if the value is not valid:
+ *          an instrument that is not loaded, a volume above 40, a command that does not exist, or a Val
+ *          above 0F for an extended (Ex) command.
+ */
+export function normalizeHexValue(columnKey, text, cellData, instrumentIds = null) {
+    const value = String(text).trim().toUpperCase();
+    if (value === '' || value === '--') return createEmptyCell()[columnKey];
+    if (!/^[0-9A-F]{1,2}$/.test(value)) return null;
+    // A single Cmd digit is the command ("A" = "A0"); a single digit elsewhere is the low nibble
+    const padded = columnKey === 'effectCmd' ? value.padEnd(2, '0') : value.padStart(2, '0');
+    const number = parseInt(padded, 16);
+    switch (columnKey) {
+        case 'instrument':
+            return !instrumentIds || instrumentIds.includes(padded) ? padded : null;
+        case 'volume':
+            return parseVolumeColumn(padded) === null ? null : padded;
+        case 'effectCmd': {
+            const command = number >> 4;
+            const subCommand = number & 0x0F;
+            if (!Object.values(EFFECT).includes(command)) return null;
+            if (command === EFFECT.EXTENDED) return Object.values(EXTENDED_EFFECT).includes(subCommand) ? padded : null;
+            return subCommand === 0 ? padded : null;
+        }
+        case 'effectVal': {
+            const effect = parseEffectCommand(cellData.effectCmd, padded);
+            return effect && effect.command === EFFECT.EXTENDED && number > 0x0F ? null : padded;
+        }
+        default:
+            return null;
+    }
+}
 
 class TrackerGrid {
     /**
@@ -17,14 +77,24 @@ class TrackerGrid {
         }
         this.containerElement = containerElement;
         this.numRows = DEFAULT_ROWS;
-        this.numTracks = DEFAULT_TRACKS;
+        this.numTracks = DEFAULT_SONG_TRACKS;
+        this.trackNames = []; // Chip channel names shown in the track headers, if the project targets a chip
 
-        // Sample data structure (can be expanded later)
-        this.patternData = this._createEmptyPatternData(this.numRows, this.numTracks);
+        // The grid edits one pattern of the song at a time
+        this.song = new Song(this.numTracks, this.numRows);
+        this.currentPatternIndex = 0;
+        this.patternData = this.song.getPattern(this.currentPatternIndex);
         this._populateSampleData(); // Add some initial data for display
 
         this.selectedCell = { row: 0, track: 0, column: 'note' }; // Default selection
         this.editingCell = null; // Stores { row, track, column, originalValue, inputElement, tdElement }
+        this.hexEntry = null; // Hex digits being typed into the selected cell: { row, track, column, nibble, originalValue }
+        this.instrumentIds = null; // Instrument numbers the Ins column accepts; null accepts any
+        this.octave = DEFAULT_OCTAVE; // Octave of the bottom row of the piano keys
+        this.currentInstrument = '01'; // Written to the Ins column with each note entered from the piano keys
+        this.editStep = 1; // Rows the cursor moves down after each entry
+        this.onNoteEntered = null; // Called with (noteNumber, instrumentId, track) for each note entered from the piano keys
+        this.onEntrySettingsChange = null; // Called when the octave is changed from the keyboard
         this.playingRow = -1; // Initialize playingRow to -1 (no row playing)
         this.clipboard = null; // To store the copied cell data object
         this.tableElement = null; // To store a reference to the main table element
@@ -38,35 +108,18 @@ class TrackerGrid {
         this._attachEventListeners(); // Called once after initial render
     }
 
-    /**
-     * Creates an empty data structure for the pattern.
-     * @param {number} rows - Number of rows.
-     * @param {number} tracks - Number of tracks.
-     * @returns {Array<Array<object>>} A 2D array representing pattern data.
-     */
-    _createEmptyPatternData(rows, tracks) {
-        return Array(rows).fill(null).map(() =>
-            Array(tracks).fill(null).map(() => ({
-                note: '---',
-                instrument: '--',
-                effectCmd: '--',
-                effectVal: '--',
-            }))
-        );
-    }
-
     /**
      * Populates the pattern data with some sample values for demonstration.
      */
     _populateSampleData() {
         if (this.numRows > 0 && this.numTracks > 0) {
-            this.patternData[0][0] = { note: 'C-4', instrument: '01', effectCmd: 'D0', effectVal: '0F' };
-            this.patternData[2][0] = { note: 'E-4', instrument: '01', effectCmd: '--', effectVal: '--' };
-            this.patternData[4][0] = { note: 'G-4', instrument: '01', effectCmd: '--', effectVal: '--' };
+            this.patternData[0][0] = { note: parseNote('C-4'), instrument: '01', volume: '--', effectCmd: 'C0', effectVal: '30' };
+            this.patternData[2][0] = { note: parseNote('E-4'), instrument: '01', volume: '--', effectCmd: '--', effectVal: '--' };
+            this.patternData[4][0] = { note: parseNote('G-4'), instrument: '01', volume: '--', effectCmd: '--', effectVal: '--' };
         }
         if (this.numRows > 0 && this.numTracks > 1) {
-            this.patternData[1][1] = { note: 'F#3', instrument: '02', effectCmd: 'A0', effectVal: '03' };
-            this.patternData[5][1] = { note: 'A#3', instrument: '02', effectCmd: '--', effectVal: '--' };
+            this.patternData[1][1] = { note: parseNote('F#3'), instrument: '02', volume: '--', effectCmd: 'A0', effectVal: '03' };
+            this.patternData[5][1] = { note: parseNote('A#3'), instrument: '02', volume: '--', effectCmd: '--', effectVal: '--' };
         }
     }
 
@@ -78,6 +131,7 @@ class TrackerGrid {
 
         const table = document.createElement('table');
         table.classList.add('tracker-grid-table');
+        table.createCaption().textContent = `Pattern ${this.currentPatternIndex.toString().padStart(2, '0')}`;
 
         // Create table header
         const thead = table.createTHead();
@@ -88,8 +142,8 @@ class TrackerGrid {
 
         for (let i = 0; i < this.numTracks; i++) {
             const trackHeader = document.createElement('th');
-            trackHeader.colSpan = 4; // Note, Instrument, Effect Cmd, Effect Val
-            trackHeader.textContent = `Track ${i + 1}`;
+            trackHeader.colSpan = COLUMN_KEYS.length; // Note, Instrument, Volume, Effect Cmd, Effect Val
+            trackHeader.textContent = this.trackNames[i] ? `Track ${i + 1}: ${this.trackNames[i]}` : `Track ${i + 1}`;
             headerRow.appendChild(trackHeader);
         }
 
@@ -105,6 +159,9 @@ class TrackerGrid {
             const instTh = document.createElement('th');
             instTh.textContent = 'Ins';
             subHeaderRow.appendChild(instTh);
+            const volTh = document.createElement('th');
+            volTh.textContent = 'Vol';
+            subHeaderRow.appendChild(volTh);
             const cmdTh = document.createElement('th');
             cmdTh.textContent = 'Cmd';
             subHeaderRow.appendChild(cmdTh);
@@ -130,9 +187,7 @@ class TrackerGrid {
 
             for (let t = 0; t < this.numTracks; t++) {
                 const trackData = this.patternData[r][t];
-                const columnKeys = ['note', 'instrument', 'effectCmd', 'effectVal'];
-
-                columnKeys.forEach(columnKey => {
+                COLUMN_KEYS.forEach(columnKey => {
                     const cell = row.insertCell();
                     cell.classList.add(`${columnKey}-cell`);
                     cell.dataset.row = r;
@@ -146,7 +201,7 @@ class TrackerGrid {
                         // Focus might need to be reapplied if render is called often
                         // this.editingCell.inputElement.focus();
                     } else {
-                        cell.textContent = trackData[columnKey];
+                        cell.textContent = this._cellText(trackData, columnKey);
                     }
 
                     if (r === this.selectedCell.row && t === this.selectedCell.track && columnKey === this.selectedCell.column) {
@@ -176,6 +231,7 @@ class TrackerGrid {
             }
             const cell = event.target.closest('td[data-row][data-track][data-column]');
             if (cell) {
+                this._finishHexEntry();
                 this.selectedCell.row = parseInt(cell.dataset.row);
                 this.selectedCell.track = parseInt(cell.dataset.track);
                 this.selectedCell.column = cell.dataset.column;
@@ -187,20 +243,90 @@ class TrackerGrid {
         this.containerElement.addEventListener('dblclick', (event) => {
             const cell = event.target.closest('td[data-row][data-track][data-column]');
             if (cell) {
-                const columnKey = cell.dataset.column;
-                if (columnKey === 'note') { // Only 'note' column editable for now
-                    this._beginEdit(cell, parseInt(cell.dataset.row), parseInt(cell.dataset.track), columnKey);
-                }
+                this._beginEdit(cell, parseInt(cell.dataset.row), parseInt(cell.dataset.track), cell.dataset.column);
             }
         });
 
         document.addEventListener('keydown', (event) => this.handleKeyDown(event));
     }
 
+    /**
+     * Returns the text a cell column shows in the grid.
+     * @param {object} cellData - The cell.
+     * @param {string} columnKey - 'note', 'instrument', 'volume', 'effectCmd' or 'effectVal'.
+     * @returns {string} The display text.
+     */
+    _cellText(cellData, columnKey) {
+        return columnKey === 'note' ? formatNote(cellData.note) : cellData[columnKey];
+    }
+
+    /**
+     * Types a hex digit into the selected Ins, Vol, Cmd or Val cell. The first digit overwrites the high
+     * nibble and the second the low nibble; the value is then checked and the cursor moves down by the edit step.
+     * @param {string} digit - A hex digit.
+     */
+    _typeHexDigit(digit) {
+        const { row, track, column } = this.selectedCell;
+        const cellData = this.patternData[row][track];
+        if (!this.hexEntry) {
+            this.hexEntry = { row, track, column, nibble: 0, originalValue: cellData[column] };
+        }
+        const current = /^[0-9A-F]{2}$/.test(cellData[column]) ? cellData[column] : '00';
+        if (this.hexEntry.nibble === 0) {
+            cellData[column] = digit + current[1];
+            this.hexEntry.nibble = 1;
+        } else {
+            cellData[column] = current[0] + digit;
+            this._finishHexEntry();
+            this._advanceCursor();
+        }
+        this.render();
+    }
+
+    /**
+     * Enters a note from the piano keys into the selected note cell, with the current instrument, and moves
+     * the cursor down by the edit step.
+     * @param {number} noteNumber - The note number.
+     */
+    _enterNote(noteNumber) {
+        const { row, track } = this.selectedCell;
+        const cellData = this.patternData[row][track];
+        cellData.note = noteNumber;
+        if (this.currentInstrument) cellData.instrument = this.currentInstrument;
+        if (this.onNoteEntered) this.onNoteEntered(noteNumber, cellData.instrument, track);
+        this._advanceCursor();
+        this.render();
+    }
+
+    /**
+     * Moves the cursor down by the edit step, stopping at the last row.
+     */
+    _advanceCursor() {
+        this.selectedCell.row = Math.min(this.numRows - 1, this.selectedCell.row + this.editStep);
+    }
+
+    /**
+     * Ends a hex entry, reverting the cell if the typed value is not valid for its column.
+     */
+    _finishHexEntry() {
+        if (!this.hexEntry) return;
+        const { row, track, column, originalValue } = this.hexEntry;
+        this.hexEntry = null;
+        const cellData = this.patternData[row] && this.patternData[row][track];
+        if (!cellData) return;
+        const value = normalizeHexValue(column, cellData[column], cellData, this.instrumentIds);
+        if (value === null) {
+            console.warn(`Invalid ${column} value: "${cellData[column]}". Reverting to original.`);
+            cellData[column] = originalValue;
+        } else {
+            cellData[column] = value;
+        }
+    }
+
     _createCellInputElement(value) {
         const input = document.createElement('input');
         input.type = 'text';
-        input.value = value === "---" ? "" : value;
+        input.value = (value === "---" || value === "--") ? "" : value;
         input.classList.add('grid-cell-input');
         // Styles are better in CSS, but for quick setup:
         input.style.width = '100%';
@@ -244,7 +370,7 @@ class TrackerGrid {
 
 
         const currentValue = this.patternData[row][track][columnKey];
-        const inputElement = this._createCellInputElement(currentValue);
+        const inputElement = this._createCellInputElement(this._cellText(this.patternData[row][track], columnKey));
 
         this.editingCell = { row, track, column: columnKey, originalValue: currentValue, inputElement, tdElement };
 
@@ -262,14 +388,20 @@ class TrackerGrid {
         let newValue = inputElement.value.trim().toUpperCase();
 
         if (column === 'note') {
-            if (newValue === "") {
-                newValue = "---";
-            } else if (!newValue.match(/^[A-G][#]?-[0-7]$/) && newValue !== "---") {
-                console.warn(`Invalid note format: "${newValue}". Reverting to original.`);
+            // Notes are stored as numbers; an empty input clears the cell
+            newValue = parseNote(inputElement.value);
+            if (newValue === null) {
+                console.warn(`Invalid note: "${inputElement.value}". Reverting to original.`);
+                newValue = originalValue;
+            }
+        } else {
+            // Hex columns; an empty input clears the cell
+            newValue = normalizeHexValue(column, inputElement.value, this.patternData[row][track], this.instrumentIds);
+            if (newValue === null) {
+                console.warn(`Invalid ${column} value: "${inputElement.value}". Reverting to original.`);
                 newValue = originalValue;
             }
         }
-        // Add validation for other column types here in future
 
         if (this.patternData[row][track][column] !== newValue) {
             this.patternData[row][track][column] = newValue;
@@ -278,7 +410,7 @@ class TrackerGrid {
         }
 
         tdElement.innerHTML = ''; // Remove input
-        tdElement.textContent = newValue; // Set text of cell
+        tdElement.textContent = this._cellText(this.patternData[row][track], column); // Set text of cell
 
         this.editingCell = null;
         // No full re-render needed here if only text content of one cell changes
@@ -292,9 +424,9 @@ class TrackerGrid {
     _cancelEdit() {
         if (!this.editingCell) return;
 
-        const { originalValue, tdElement } = this.editingCell;
+        const { row, track, column, tdElement } = this.editingCell;
         tdElement.innerHTML = ''; // Remove input
-        tdElement.textContent = originalValue; // Restore original value
+        tdElement.textContent = this._cellText(this.patternData[row][track], column); // Restore original value
         this.editingCell = null;
         // this.render(); // Similar to commit, avoid full render if possible to maintain focus context.
     }
@@ -320,6 +452,19 @@ class TrackerGrid {
             }
         }
 
+        if (MODIFIER_KEYS.includes(event.key)) return; // Wait for the key they modify
+        if (!this.editingCell && event.target && event.target.closest && event.target.closest('input, textarea, select')) {
+            return; // Typing in a panel field, not in the grid
+        }
+
+        const isHexDigit = HEX_COLUMNS.includes(this.selectedCell.column) && /^[0-9a-fA-F]$/.test(event.key) &&
+            !event.ctrlKey && !event.metaKey && !event.altKey;
+        if (this.hexEntry && !isHexDigit) {
+            // Any other key ends a hex entry after its first digit
+            this._finishHexEntry();
+            this.render();
+        }
+
         // Ctrl+C/Cmd+C (Copy) or Ctrl+X/Cmd+X (Cut, treated as copy)
         if ((event.ctrlKey || event.metaKey) && (event.key.toLowerCase() === 'c' || event.key.toLowerCase() === 'x')) {
             if (this.selectedCell) {
@@ -343,39 +488,52 @@ class TrackerGrid {
             return;
         }
 
+        // Numpad / and * change the octave of the piano keys
+        if (event.code === 'NumpadDivide' || event.code === 'NumpadMultiply') {
+            if (this.setOctave(this.octave + (event.code === 'NumpadDivide' ? -1 : 1)) && this.onEntrySettingsChange) {
+                this.onEntrySettingsChange();
+            }
+            event.preventDefault();
+            return;
+        }
+
         let { row, track, column } = this.selectedCell;
         let preventDefault = false;
         let needsRender = false;
 
         // Edit initiation / Direct data modification (when NOT editing)
         if (!this.editingCell) { // This check is now slightly redundant due to the top check, but good for clarity
-            if (event.key === 'Enter' && column === 'note') {
-                const td = this.findTdForSelectedCell();
-                if (td) {
-                    this._beginEdit(td, row, track, column);
-                    event.preventDefault();
-                    return;
-                }
-            } else if (column === 'note' && event.key.match(/^[a-zA-Z0-9#\-]$/) && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            if (event.key === 'Enter') {
                 const td = this.findTdForSelectedCell();
                 if (td) {
                     this._beginEdit(td, row, track, column);
-                    if (this.editingCell && this.editingCell.inputElement) {
-                        if (event.key === '-') { this.editingCell.inputElement.value = event.key; }
-                        else if (event.key.match(/^[a-gA-G]$/)) { this.editingCell.inputElement.value = event.key.toUpperCase() + "-4"; }
-                        else { this.editingCell.inputElement.value = event.key.toUpperCase(); }
-                        this.editingCell.inputElement.select();
-                    }
                     event.preventDefault();
                     return;
                 }
-            } else if ((event.key === 'Delete' || event.key === 'Backspace') && column === 'note') {
-                // Direct delete/backspace when not editing the 'note' cell
-                if (this.patternData[row][track].note !== "---") {
-                    this.patternData[row][track].note = "---";
+            } else if (column === 'note' && (event.key === '=' || event.key === '^') && !event.ctrlKey && !event.metaKey && !event.altKey) {
+                // Note-off and note-cut markers are entered directly, without the inline editor
+                this.patternData[row][track].note = event.key === '=' ? NOTE_OFF : NOTE_CUT;
+                this._advanceCursor();
+                this.render();
+                event.preventDefault();
+                return;
+            } else if (column === 'note' && PIANO_KEYS[event.code] !== undefined && !event.ctrlKey && !event.metaKey && !event.altKey) {
+                const noteNumber = (this.octave + 1) * 12 + PIANO_KEYS[event.code];
+                if (isPlayableNote(noteNumber)) this._enterNote(noteNumber);
+                event.preventDefault();
+                return;
+            } else if (isHexDigit) {
+                this._typeHexDigit(event.key.toUpperCase());
+                event.preventDefault();
+                return;
+            } else if (event.key === 'Delete' || event.key === 'Backspace') {
+                // Direct delete/backspace when not editing the cell
+                const emptyValue = createEmptyCell()[column];
+                if (this.patternData[row][track][column] !== emptyValue) {
+                    this.patternData[row][track][column] = emptyValue;
                     const td = this.findTdForSelectedCell();
                     if (td) {
-                        td.textContent = "---"; // Direct DOM update
+                        td.textContent = this._cellText(this.patternData[row][track], column); // Direct DOM update
                     } else {
                         needsRender = true; // Fallback to full render if TD not found
                     }
@@ -402,7 +560,7 @@ class TrackerGrid {
 
         if (event.key === 'Tab') {
             preventDefault = true;
-            const columnsOrder = ['note', 'instrument', 'effectCmd', 'effectVal'];
+            const columnsOrder = COLUMN_KEYS;
             const currentColumnIndex = columnsOrder.indexOf(column);
             let newColIdx = currentColumnIndex;
 
@@ -459,7 +617,7 @@ class TrackerGrid {
      * Updates a cell's data and re-renders that specific cell (or row for simplicity).
      * @param {number} row - Row index.
      * @param {number} track - Track index.
-     * @param {object} newData - Object with new data for {note, instrument, effectCmd, effectVal}.
+     * @param {object} newData - Object with new data for {note, instrument, volume, effectCmd, effectVal}.
      */
     updateCell(row, track, newData) {
         if (row < this.numRows && track < this.numTracks) {
@@ -504,20 +662,137 @@ class TrackerGrid {
      * Sets the currently playing row for visual feedback.
      * @param {number} rowIndex - The index of the row currently being played by the sequencer.
      *                            -1 to clear the highlight.
+     * @param {number} [patternIndex] - The pattern being played. The row is only highlighted
+     *                                  when it matches the pattern shown in the grid.
      */
-    setPlayingRow(rowIndex) {
+    setPlayingRow(rowIndex, patternIndex) {
+        if (patternIndex !== undefined && patternIndex !== this.currentPatternIndex) {
+            rowIndex = -1;
+        }
         if (this.playingRow !== rowIndex) {
             this.playingRow = rowIndex;
             this.render();
-        } else if (rowIndex === -1 && this.playingRow !== -1) {
-            // Explicitly clear if called with -1 and something was highlighted
-            this.playingRow = -1;
-            this.render();
         }
     }
 
     /**
-     * Returns the entire pattern data.
+     * Shows a different pattern of the song in the grid.
+     * @param {number} patternIndex - The pattern number to display.
+     */
+    showPattern(patternIndex) {
+        const pattern = this.song.getPattern(patternIndex);
+        if (!pattern) {
+            console.warn(`TrackerGrid.showPattern: Pattern ${patternIndex} not available.`);
+            return;
+        }
+        if (this.editingCell) this._commitEdit();
+        this._finishHexEntry();
+        this.currentPatternIndex = patternIndex;
+        this.patternData = pattern;
+        this.numRows = pattern.length;
+        this.numTracks = this.song.numTracks;
+        this.selectedCell.row = Math.min(this.selectedCell.row, this.numRows - 1);
+        this.selectedCell.track = Math.min(this.selectedCell.track, this.numTracks - 1);
+        this.playingRow = -1;
+        this.render();
+    }
+
+    /**
+     * Returns the number of the pattern shown in the grid.
+     * @returns {number} The pattern number.
+     */
+    getCurrentPatternIndex() {
+        return this.currentPatternIndex;
+    }
+
+    /**
+     * Returns the song edited by this grid.
+     * @returns {Song} The song.
+     */
+    getSong() {
+        return this.song;
+    }
+
+    /**
+     * Replaces the song and shows its first pattern in the order list.
+     * @param {Song} song - The new song.
+     */
+    setSong(song) {
+        if (!song) {
+            console.warn("TrackerGrid.setSong: Invalid song provided.");
+            return;
+        }
+        this.song = song;
+        this.showPattern(Math.max(0, song.getPatternIndexAtOrder(0)));
+        console.log("TrackerGrid: Song updated and grid re-rendered.");
+    }
+
+    /**
+     * Sets the names shown after the track numbers in the header, such as the chip channel of each track.
+     * @param {Array<string>} names - One name per track; tracks without a name show only their number.
+     */
+    setTrackNames(names) {
+        this.trackNames = Array.isArray(names) ? names.slice() : [];
+        this.render();
+    }
+
+    /**
+     * Sets the octave the bottom row of the piano keys plays; the top row plays the octave above.
+     * @param {number} octave - The octave (0-8).
+     * @returns {boolean} True if the octave was valid and set.
+     */
+    setOctave(octave) {
+        if (!Number.isInteger(octave) || octave < 0 || octave > MAX_OCTAVE) return false;
+        this.octave = octave;
+        return true;
+    }
+
+    /**
+     * Sets the instrument number written to the Ins column with each note entered from the piano keys.
+     * @param {string} instrumentId - The instrument number (e.g. "01"), or "--" to leave the Ins column as it is.
+     */
+    setCurrentInstrument(instrumentId) {
+        this.currentInstrument = instrumentId && instrumentId !== '--' ? String(instrumentId) : null;
+    }
+
+    /**
+     * Sets how many rows the cursor moves down after each entry.
+     * @param {number} editStep - Rows (0-16); 0 keeps the cursor on the row.
+     * @returns {boolean} True if the edit step was valid and set.
+     */
+    setEditStep(editStep) {
+        if (!Number.isInteger(editStep) || editStep < 0 || editStep > MAX_EDIT_STEP) return false;
+        this.editStep = editStep;
+        return true;
+    }
+
+    /**
+     * Sets the callback invoked with (noteNumber, instrumentId, track) for each note entered from the piano keys,
+     * so it can be auditioned.
+     * @param {function} callback - The function to call.
+     */
+    setOnNoteEntered(callback) {
+        this.onNoteEntered = callback;
+    }
+
+    /**
+     * Sets the callback invoked when the octave is changed from the keyboard, so settings fields can follow.
+     * @param {function} callback - The function to call.
+     */
+    setOnEntrySettingsChange(callback) {
+        this.onEntrySettingsChange = callback;
+    }
+
+    /**
+     * Sets the instrument numbers the Ins column accepts.
+     * @param {Array<string>} ids - The IDs of the loaded instruments (e.g. "01").
+     */
+    setInstrumentIds(ids) {
+        this.instrumentIds = Array.isArray(ids) ? ids.slice() : null;
+    }
+
+    /**
+     * Returns the data of the pattern shown in the grid.
      * @returns {Array<Array<object>>} The current pattern data.
      */
     getPatternData() {
@@ -531,6 +806,7 @@ class TrackerGrid {
     setPatternData(data) {
         if (data && Array.isArray(data)) { // Basic validation
             this.patternData = data;
+            this.song.setPattern(this.currentPatternIndex, data);
             this.numRows = data.length;
             this.numTracks = data.length > 0 ? data[0].length : 0; // Assuming consistent track count
             this.render(); // Re-render with new data
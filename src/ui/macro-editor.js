@@ -0,0 +1,196 @@
+/**
+ * @file Bar-graph editor for instrument macros in Thunderbird Chiptune Composer.
+ * Holds all four macros of the instrument being edited and shows one of them at a time on a canvas,
+ * one bar per tick, with its loop and release points marked.
+ */
+
+import { MACRO_TYPES, MAX_MACRO_LENGTH, normalizeMacro } from '../audio/macros.js';
+
+const BAR_WIDTH = 8;       // Canvas pixels per tick
+const CANVAS_HEIGHT = 128;
+
+class MacroEditor {
+    /**
+     * Creates an instance of MacroEditor.
+     * @param {HTMLElement} containerElement - The DOM element to render the editor into.
+     */
+    constructor(containerElement) {
+        if (!containerElement) {
+            throw new Error("Container element is required for MacroEditor.");
+        }
+        this.containerElement = containerElement;
+        this.canvas = null;
+        this.canvasCtx = null;
+        this.macros = {};
+        this.type = 'volume';
+        this.isDrawing = false;
+        this.setMacros({});
+    }
+
+    init() {
+        this.containerElement.innerHTML = '';
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'macro-canvas';
+        this.canvas.width = MAX_MACRO_LENGTH * BAR_WIDTH;
+        this.canvas.height = CANVAS_HEIGHT;
+        this.containerElement.appendChild(this.canvas);
+        this.canvasCtx = this.canvas.getContext('2d');
+
+        if (!this.canvasCtx) {
+            console.error("Failed to get 2D context from canvas for macro editor.");
+            return;
+        }
+
+        this.canvas.addEventListener('mousedown', (event) => {
+            this.isDrawing = true;
+            this._drawAt(event);
+        });
+        this.canvas.addEventListener('mousemove', (event) => {
+            if (this.isDrawing) this._drawAt(event);
+        });
+        // Listen on the window so releasing the button outside the canvas still ends the stroke
+        window.addEventListener('mouseup', () => {
+            this.isDrawing = false;
+        });
+
+        this.draw();
+    }
+
+    /**
+     * Replaces all macros being edited.
+     * @param {object} macros - Macros keyed by MACRO_TYPES names; missing ones start empty.
+     */
+    setMacros(macros) {
+        Object.keys(MACRO_TYPES).forEach(type => {
+            this.macros[type] = normalizeMacro(type, macros ? macros[type] : null);
+        });
+        this.draw();
+    }
+
+    /**
+     * Returns copies of the macros that have at least one value.
+     * @returns {object} Macros keyed by MACRO_TYPES names.
+     */
+    getMacros() {
+        const macros = {};
+        Object.entries(this.macros).forEach(([type, macro]) => {
+            if (macro.values.length > 0) {
+                macros[type] = { values: macro.values.slice(), loop: macro.loop, release: macro.release };
+            }
+        });
+        return macros;
+    }
+
+    /**
+     * Switches the graph to another macro.
+     * @param {string} type - A key of MACRO_TYPES.
+     */
+    selectType(type) {
+        if (!MACRO_TYPES[type]) {
+            console.warn(`MacroEditor.selectType: Unknown macro "${type}".`);
+            return;
+        }
+        this.type = type;
+        this.draw();
+    }
+
+    /**
+     * Returns the macro shown on the graph.
+     * @returns {{values: Array<number>, loop: number, release: number}}
+     */
+    getSelectedMacro() {
+        return this.macros[this.type];
+    }
+
+    /**
+     * Changes the length of the shown macro, padding new ticks with the last value (or the macro's default).
+     * Loop and release points beyond the new end are removed.
+     * @param {number} length - Number of ticks, 0 to MAX_MACRO_LENGTH. 0 turns the macro off.
+     */
+    setLength(length) {
+        const macro = this.macros[this.type];
+        const newLength = Math.max(0, Math.min(MAX_MACRO_LENGTH, Math.floor(length) || 0));
+        const fill = macro.values.length > 0 ? macro.values[macro.values.length - 1] : MACRO_TYPES[this.type].defaultValue;
+        while (macro.values.length < newLength) macro.values.push(fill);
+        macro.values.length = newLength;
+        this.macros[this.type] = normalizeMacro(this.type, macro);
+        this.draw();
+    }
+
+    /**
+     * Sets the loop and release points of the shown macro.
+     * @param {number} loop - Tick index to loop back to, or -1 for none.
+     * @param {number} release - Tick index to wait on until the note-off, or -1 for none.
+     */
+    setLoopAndRelease(loop, release) {
+        const macro = this.macros[this.type];
+        this.macros[this.type] = normalizeMacro(this.type, { values: macro.values, loop, release });
+        this.draw();
+    }
+
+    /**
+     * Returns the canvas y coordinate of a value of the shown macro.
+     * @param {number} value - The value.
+     * @returns {number} The y coordinate.
+     */
+    _valueToY(value) {
+        const { min, max } = MACRO_TYPES[this.type];
+        return (max - value) / (max - min + 1) * CANVAS_HEIGHT;
+    }
+
+    /**
+     * Sets the bar under the mouse pointer.
+     * @param {MouseEvent} event - The mouse event.
+     */
+    _drawAt(event) {
+        const macro = this.macros[this.type];
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * this.canvas.width / rect.width;
+        const y = (event.clientY - rect.top) * this.canvas.height / rect.height;
+        const index = Math.floor(x / BAR_WIDTH);
+        if (index < 0 || index >= macro.values.length) return; // Use the Length field to add ticks
+
+        const { min, max } = MACRO_TYPES[this.type];
+        const levels = max - min + 1;
+        macro.values[index] = Math.max(min, Math.min(max, max - Math.floor(y / CANVAS_HEIGHT * levels)));
+        this.draw();
+    }
+
+    draw() {
+        if (!this.canvasCtx) return;
+        const ctx = this.canvasCtx;
+        const macro = this.macros[this.type];
+        const { min, max } = MACRO_TYPES[this.type];
+
+        ctx.fillStyle = 'rgb(20, 20, 30)';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Area beyond the end of the macro
+        ctx.fillStyle = 'rgb(35, 35, 45)';
+        ctx.fillRect(macro.values.length * BAR_WIDTH, 0, this.canvas.width, this.canvas.height);
+
+        // Bars grow from zero on signed macros, and from the bottom otherwise
+        const baseValue = min < 0 ? 0 : min - 1;
+        const baseY = min < 0 ? this._valueToY(0) + CANVAS_HEIGHT / (max - min + 1) : CANVAS_HEIGHT;
+        if (min < 0) {
+            ctx.fillStyle = 'rgb(60, 60, 80)';
+            ctx.fillRect(0, Math.round(baseY), this.canvas.width, 1);
+        }
+
+        ctx.fillStyle = 'rgb(50, 200, 50)';
+        macro.values.forEach((value, i) => {
+            const top = value >= baseValue ? this._valueToY(value) : baseY;
+            const bottom = value >= baseValue ? baseY : this._valueToY(value - 1);
+            ctx.fillRect(i * BAR_WIDTH, top, BAR_WIDTH - 1, Math.max(1, bottom - top));
+        });
+
+        // Loop point in blue, release point in red
+        [[macro.loop, 'rgb(80, 140, 255)'], [macro.release, 'rgb(255, 90, 90)']].forEach(([index, color]) => {
+            if (index < 0) return;
+            ctx.fillStyle = color;
+            ctx.fillRect(index * BAR_WIDTH, 0, 2, this.canvas.height);
+        });
+    }
+}
+
+export default MacroEditor;
@@ -183,17 +183,107 @@ class PanelManager {
                     </div>
                     <hr>
                     <div id="instrument-details-form">
-                        <label for="inst-waveform">Waveform:</label>
-                        <select id="inst-waveform">
-                            <option value="sine">Sine</option>
-                            <option value="square">Square</option>
-                            <option value="sawtooth">Sawtooth</option>
-                            <option value="triangle">Triangle</option>
+                        <label for="inst-type">Type:</label>
+                        <select id="inst-type">
+                            <option value="synth">Synth</option>
+                            <option value="wavetable">Wavetable</option>
+                            <option value="sample">Sample</option>
                         </select><br>
 
+                        <div id="inst-synth-settings">
+                            <label for="inst-waveform">Waveform:</label>
+                            <select id="inst-waveform">
+                                <option value="sine">Sine</option>
+                                <option value="square">Square</option>
+                                <option value="sawtooth">Sawtooth</option>
+                                <option value="triangle">Triangle</option>
+                                <option value="pulse">Pulse</option>
+                                <option value="noise">Noise</option>
+                            </select><br>
+
+                            <div id="inst-noise-mix-settings">
+                                <label for="inst-noise-mix">Noise Mix (0 = tone, 1 = noise):</label>
+                                <input type="number" id="inst-noise-mix" step="0.05" min="0" max="1" value="0"><br>
+                            </div>
+
+                            <div id="inst-pulse-settings" style="display: none;">
+                                <label for="inst-duty">Duty Cycle:</label>
+                                <select id="inst-duty">
+                                    <option value="0.125">12.5%</option>
+                                    <option value="0.25">25%</option>
+                                    <option value="0.5">50%</option>
+                                    <option value="0.75">75%</option>
+                                </select><br>
+                            </div>
+
+                            <div id="inst-noise-settings" style="display: none;">
+                                <label for="inst-noise-mode">Noise Mode:</label>
+                                <select id="inst-noise-mode">
+                                    <option value="long">Long (15-bit)</option>
+                                    <option value="short">Short (7-bit, metallic)</option>
+                                </select><br>
+                            </div>
+                        </div>
+
+                        <div id="inst-wavetable-settings" style="display: none;">
+                            <div id="inst-wavetable-editor"></div>
+                            <label for="inst-wavetable-preset">Preset:</label>
+                            <select id="inst-wavetable-preset">
+                                <option value="sine">Sine</option>
+                                <option value="triangle">Triangle</option>
+                                <option value="sawtooth">Sawtooth</option>
+                                <option value="square">Square</option>
+                                <option value="pulse25">Pulse 25%</option>
+                            </select>
+                            <button id="inst-wavetable-preset-button">Apply Preset</button><br>
+                            <small>Draw the 32-step, 16-level wave with the mouse.</small><br>
+                        </div>
+
+                        <div id="inst-sample-settings" style="display: none;">
+                            <label for="inst-sample-url">Sample URL:</label>
+                            <input type="text" id="inst-sample-url" list="sample-url-suggestions" size="28">
+                            <datalist id="sample-url-suggestions">
+                                <option value="tests/audio_samples/square_440.wav">
+                                <option value="tests/audio_samples/noise_burst.wav">
+                            </datalist><br>
+
+                            <label for="inst-root-note">Root Note:</label>
+                            <input type="text" id="inst-root-note" value="C-4" size="4"><br>
+
+                            <label for="inst-loop-mode">Playback:</label>
+                            <select id="inst-loop-mode">
+                                <option value="oneshot">One-shot</option>
+                                <option value="loop">Looped</option>
+                            </select><br>
+
+                            <label for="inst-loop-start">Loop Start (s):</label>
+                            <input type="number" id="inst-loop-start" step="0.001" min="0" value="0"><br>
+
+                            <label for="inst-loop-end">Loop End (s, 0 = end):</label>
+                            <input type="number" id="inst-loop-end" step="0.001" min="0" value="0"><br>
+                        </div>
+
+                        <div id="inst-pitch-envelope-settings">
+                            <label><input type="checkbox" id="inst-pitchenv-enabled"> Pitch Envelope</label><br>
+                            <label for="inst-pitchenv-offset">Start (semitones):</label>
+                            <input type="number" id="inst-pitchenv-offset" step="1" min="-48" max="48" value="24">
+                            <label for="inst-pitchenv-time">Sweep (s):</label>
+                            <input type="number" id="inst-pitchenv-time" step="0.001" min="0.001" max="5" value="0.1">
+                            <select id="inst-pitchenv-curve">
+                                <option value="exponential">Exponential</option>
+                                <option value="linear">Linear</option>
+                            </select><br>
+                        </div>
+
                         <label for="inst-volume">Volume (0-1):</label>
                         <input type="number" id="inst-volume" step="0.01" min="0" max="1" value="0.7"><br>
 
+                        <label for="inst-transpose">Transpose (semitones):</label>
+                        <input type="number" id="inst-transpose" step="1" min="-24" max="24" value="0"><br>
+
+                        <label for="inst-fine-tune">Fine Tune (cents):</label>
+                        <input type="number" id="inst-fine-tune" step="1" min="-100" max="100" value="0"><br>
+
                         <label for="inst-attack">Attack (s):</label>
                         <input type="number" id="inst-attack" step="0.001" min="0.001" value="0.01"><br>
 
@@ -206,6 +296,87 @@ class PanelManager {
                         <label for="inst-release">Release (s):</label>
                         <input type="number" id="inst-release" step="0.001" min="0.001" value="0.2"><br>
 
+                        <div id="inst-filter-settings">
+                            <label><input type="checkbox" id="inst-filter-enabled"> Filter</label>
+                            <select id="inst-filter-type">
+                                <option value="lowpass">Low-pass</option>
+                                <option value="highpass">High-pass</option>
+                                <option value="bandpass">Band-pass</option>
+                            </select><br>
+                            <label for="inst-filter-cutoff">Cutoff (Hz):</label>
+                            <input type="number" id="inst-filter-cutoff" step="1" min="20" max="20000" value="2000">
+                            <label for="inst-filter-resonance">Resonance:</label>
+                            <input type="number" id="inst-filter-resonance" step="0.1" min="0.1" max="30" value="1"><br>
+                            <label for="inst-filter-amount">Envelope Amount (octaves):</label>
+                            <input type="number" id="inst-filter-amount" step="0.1" min="-8" max="8" value="0">
+                            <label for="inst-filter-keytrack">Key Tracking (0-1):</label>
+                            <input type="number" id="inst-filter-keytrack" step="0.05" min="0" max="1" value="0"><br>
+                            <label for="inst-filter-attack">Filter A/D/S/R:</label>
+                            <input type="number" id="inst-filter-attack" step="0.001" min="0.001" value="0.01" title="Attack (s)">
+                            <input type="number" id="inst-filter-decay" step="0.001" min="0.001" value="0.2" title="Decay (s)">
+                            <input type="number" id="inst-filter-sustain" step="0.01" min="0" max="1" value="1" title="Sustain (0-1)">
+                            <input type="number" id="inst-filter-release" step="0.001" min="0.001" value="0.2" title="Release (s)"><br>
+                        </div>
+
+                        <div id="inst-macro-settings">
+                            <label for="inst-macro-type">Macro:</label>
+                            <select id="inst-macro-type">
+                                <option value="volume">Volume (0-15)</option>
+                                <option value="arpeggio">Arpeggio (semitones)</option>
+                                <option value="pitch">Pitch (1/16 semitone per tick)</option>
+                                <option value="duty">Duty (0-3, pulse only)</option>
+                            </select>
+                            <div id="inst-macro-editor"></div>
+                            <label for="inst-macro-length">Length (ticks):</label>
+                            <input type="number" id="inst-macro-length" step="1" min="0" max="64" value="0">
+                            <label for="inst-macro-loop">Loop:</label>
+                            <input type="number" id="inst-macro-loop" step="1" min="-1" max="63" value="-1">
+                            <label for="inst-macro-release">Release:</label>
+                            <input type="number" id="inst-macro-release" step="1" min="-1" max="63" value="-1"><br>
+                        </div>
+
+                        <div id="inst-arpeggiator-settings">
+                            <label><input type="checkbox" id="inst-arp-enabled"> Arpeggiator</label><br>
+                            <label for="inst-arp-chord">Chord:</label>
+                            <select id="inst-arp-chord">
+                                <option value="major">Major (0 4 7)</option>
+                                <option value="minor">Minor (0 3 7)</option>
+                                <option value="major7">Major 7th (0 4 7 11)</option>
+                                <option value="minor7">Minor 7th (0 3 7 10)</option>
+                                <option value="dominant7">Dominant 7th (0 4 7 10)</option>
+                                <option value="sus4">Sus4 (0 5 7)</option>
+                                <option value="diminished">Diminished (0 3 6)</option>
+                                <option value="power">Power (0 7)</option>
+                                <option value="octave">Octave (0 12)</option>
+                                <option value="custom">Custom</option>
+                            </select><br>
+                            <label for="inst-arp-semitones">Custom Semitones:</label>
+                            <input type="text" id="inst-arp-semitones" value="0 4 7" size="12"><br>
+                            <label for="inst-arp-mode">Direction:</label>
+                            <select id="inst-arp-mode">
+                                <option value="up">Up</option>
+                                <option value="down">Down</option>
+                                <option value="pingpong">Ping-Pong</option>
+                            </select><br>
+                            <label for="inst-arp-rate">Rate (ticks per step):</label>
+                            <input type="number" id="inst-arp-rate" step="1" min="1" max="16" value="1"><br>
+                        </div>
+
+                        <div id="inst-effects-settings">
+                            <strong>Effects</strong> (in signal order)
+                            <div id="inst-effects-list"></div>
+                            <select id="inst-effect-add-type"></select>
+                            <button id="inst-effect-add-button">Add Effect</button><br>
+                        </div>
+
+                        <div id="inst-bitcrusher-settings">
+                            <label><input type="checkbox" id="inst-bitcrusher-enabled"> Bitcrusher</label><br>
+                            <label for="inst-bitcrusher-bits">Bit Depth (1-16):</label>
+                            <input type="number" id="inst-bitcrusher-bits" step="1" min="1" max="16" value="8"><br>
+                            <label for="inst-bitcrusher-rate">Crush Rate (Hz):</label>
+                            <input type="number" id="inst-bitcrusher-rate" step="1" min="100" max="48000" value="11025"><br>
+                        </div>
+
                         <button id="update-instrument-button">Update Selected Instrument</button>
                     </div>
                 </div>
@@ -223,6 +394,27 @@ class PanelManager {
                     <label for="setting-bpm">BPM (Beats Per Minute):</label>
                     <input type="number" id="setting-bpm" step="1" min="20" max="999" value="120"><br><br>
 
+                    <label for="setting-rows-per-beat">Rows Per Beat:</label>
+                    <input type="number" id="setting-rows-per-beat" step="1" min="1" max="32" value="4"><br><br>
+
+                    <label for="setting-speed">Speed (Ticks Per Row):</label>
+                    <input type="number" id="setting-speed" step="1" min="1" max="31" value="6"><br><br>
+
+                    <label for="setting-chip">Target Chip:</label>
+                    <select id="setting-chip"></select><br>
+                    <small id="setting-chip-channels"></small><br><br>
+
+                    <label for="setting-reference-pitch">Reference Pitch (A-4, Hz):</label>
+                    <input type="number" id="setting-reference-pitch" step="0.1" min="300" max="600" value="440"><br>
+                    <label for="setting-temperament">Temperament:</label>
+                    <select id="setting-temperament"></select>
+                    <label for="setting-tonic">Tonic:</label>
+                    <select id="setting-tonic"></select><br>
+                    <div id="setting-scala-settings" style="display: none;">
+                        <label for="setting-scala">Scale (Scala .scl):</label><br>
+                        <textarea id="setting-scala" rows="8" cols="32" spellcheck="false"></textarea>
+                    </div><br>
+
                     <button id="update-project-settings-button">Update Settings</button>
                     <hr>
                     <button id="save-project-button">Save Project</button>
@@ -232,10 +424,131 @@ class PanelManager {
             `
         });
 
+        this.addPanel({
+            id: 'order-list-panel',
+            title: 'Order List',
+            contentElement: `
+                <div id="order-list-content">
+                    <ol id="order-list" class="order-list"></ol>
+                    <label for="order-pattern-input">Pattern:</label>
+                    <input type="number" id="order-pattern-input" step="1" min="0" max="255" value="0">
+                    <button id="order-set-pattern-button">Set</button><br>
+                    <button id="order-insert-button">Insert</button>
+                    <button id="order-remove-button">Remove</button><br>
+                    <button id="order-new-pattern-button">New Pattern</button>
+                    <button id="order-clone-pattern-button">Clone Pattern</button><br>
+                    <label for="order-follow-playback">Follow Playback:</label>
+                    <input type="checkbox" id="order-follow-playback" checked>
+                </div>
+            `
+        });
+
+        this.addPanel({
+            id: 'note-entry-panel',
+            title: 'Note Entry',
+            contentElement: `
+                <div id="note-entry-content">
+                    <label for="entry-octave">Octave:</label>
+                    <input type="number" id="entry-octave" step="1" min="0" max="8" value="4">
+                    <label for="entry-instrument">Instrument:</label>
+                    <select id="entry-instrument"></select><br>
+                    <label for="entry-edit-step">Edit Step:</label>
+                    <input type="number" id="entry-edit-step" step="1" min="0" max="16" value="1">
+                    <label for="entry-audition">Audition:</label>
+                    <input type="checkbox" id="entry-audition" checked>
+                    <p><small>In the Note column, Z-M and Q-U play notes like piano keys. Numpad / and * change the octave.</small></p>
+                </div>
+            `
+        });
+
+        this.addPanel({
+            id: 'mixer-panel',
+            title: 'Mixer',
+            contentElement: `
+                <div id="mixer-content">
+                    <div id="mixer-strips"></div>
+                    <div id="mixer-buses">
+                        <hr>
+                        <div class="mixer-bus" id="mixer-send-0">
+                            <strong>Send A</strong>
+                            <label>Return: <input type="range" id="send-0-level" min="0" max="1" step="0.01" value="1"></label>
+                            <div id="send-0-effects-list"></div>
+                            <select id="send-0-effect-add-type"></select>
+                            <button id="send-0-effect-add-button">Add Effect</button>
+                        </div>
+                        <div class="mixer-bus" id="mixer-send-1">
+                            <strong>Send B</strong>
+                            <label>Return: <input type="range" id="send-1-level" min="0" max="1" step="0.01" value="1"></label>
+                            <div id="send-1-effects-list"></div>
+                            <select id="send-1-effect-add-type"></select>
+                            <button id="send-1-effect-add-button">Add Effect</button>
+                        </div>
+                        <div class="mixer-bus" id="mixer-master-inserts">
+                            <strong>Master Inserts</strong>
+                            <div id="master-effects-list"></div>
+                            <select id="master-effect-add-type"></select>
+                            <button id="master-effect-add-button">Add Effect</button>
+                        </div>
+                    </div>
+                    <div id="mixer-master-bitcrusher">
+                        <hr>
+                        <label><input type="checkbox" id="master-bitcrusher-enabled"> Master Bitcrusher</label><br>
+                        <label for="master-bitcrusher-bits">Bit Depth (1-16):</label>
+                        <input type="number" id="master-bitcrusher-bits" step="1" min="1" max="16" value="8"><br>
+                        <label for="master-bitcrusher-rate">Crush Rate (Hz):</label>
+                        <input type="number" id="master-bitcrusher-rate" step="1" min="100" max="48000" value="11025">
+                    </div>
+                </div>
+            `
+        });
+
+        this.addPanel({
+            id: 'export-panel',
+            title: 'Export Audio',
+            contentElement: `
+                <div id="export-content">
+                    <label for="export-loops">Loops:</label>
+                    <input type="number" id="export-loops" step="1" min="1" max="16" value="1"><br>
+
+                    <label for="export-fade-out">Fade-Out Tail (s):</label>
+                    <input type="number" id="export-fade-out" step="0.1" min="0" max="30" value="2"><br>
+
+                    <label for="export-sample-rate">Sample Rate:</label>
+                    <select id="export-sample-rate">
+                        <option value="22050">22050 Hz</option>
+                        <option value="44100">44100 Hz</option>
+                        <option value="48000">48000 Hz</option>
+                    </select><br>
+
+                    <label for="export-bit-depth">Bit Depth:</label>
+                    <select id="export-bit-depth">
+                        <option value="16">16-bit</option>
+                        <option value="24">24-bit</option>
+                        <option value="32">32-bit float</option>
+                    </select><br>
+
+                    <button id="export-wav-button">Export WAV</button>
+                    <hr>
+                    <div>Stem Tracks:</div>
+                    <div id="export-stem-tracks"></div>
+                    <button id="export-stems-button">Export Stems</button>
+                    <p><small>Each selected track is rendered on its own, ignoring mute/solo, and downloaded as a separate WAV.</small></p>
+                </div>
+            `
+        });
+
         this.addPanel({
             id: 'sample-library-panel',
-            title: 'Sample Library (Placeholder)',
-            contentElement: '<p>If samples are supported, they would be managed here.</p>'
+            title: 'Sample Library',
+            contentElement: `
+                <div id="sample-library-content">
+                    <label for="sample-load-url">Sample URL:</label>
+                    <input type="text" id="sample-load-url" list="sample-url-suggestions" size="28">
+                    <button id="sample-load-button">Load</button>
+                    <ul id="sample-list" class="sample-list"></ul>
+                    <p><small>Loaded samples can be used by instruments of type "Sample" via their URL.</small></p>
+                </div>
+            `
         });
     }
 
@@ -0,0 +1,136 @@
+/**
+ * @file Drawable wavetable editor for Thunderbird Chiptune Composer.
+ * Shows a 32-sample, 4-bit wavetable on a canvas and lets the user draw it with the mouse.
+ */
+
+import { WAVETABLE_LENGTH, WAVETABLE_MAX_VALUE, WAVETABLE_PRESETS } from '../audio/generators.js';
+
+const CELL_WIDTH = 8;  // Canvas pixels per sample
+const CELL_HEIGHT = 6; // Canvas pixels per level
+
+class WavetableEditor {
+    /**
+     * Creates an instance of WavetableEditor.
+     * @param {HTMLElement} containerElement - The DOM element to render the editor into.
+     */
+    constructor(containerElement) {
+        if (!containerElement) {
+            throw new Error("Container element is required for WavetableEditor.");
+        }
+        this.containerElement = containerElement;
+        this.canvas = null;
+        this.canvasCtx = null;
+        this.table = WAVETABLE_PRESETS.triangle.slice();
+        this.isDrawing = false;
+        this.lastSampleIndex = -1; // Last column drawn, to fill gaps when the mouse moves quickly
+    }
+
+    init() {
+        this.containerElement.innerHTML = '';
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'wavetable-canvas';
+        this.canvas.width = WAVETABLE_LENGTH * CELL_WIDTH;
+        this.canvas.height = (WAVETABLE_MAX_VALUE + 1) * CELL_HEIGHT;
+        this.containerElement.appendChild(this.canvas);
+        this.canvasCtx = this.canvas.getContext('2d');
+
+        if (!this.canvasCtx) {
+            console.error("Failed to get 2D context from canvas for wavetable editor.");
+            return;
+        }
+
+        this.canvas.addEventListener('mousedown', (event) => {
+            this.isDrawing = true;
+            this.lastSampleIndex = -1;
+            this._drawAt(event);
+        });
+        this.canvas.addEventListener('mousemove', (event) => {
+            if (this.isDrawing) this._drawAt(event);
+        });
+        // Listen on the window so releasing the button outside the canvas still ends the stroke
+        window.addEventListener('mouseup', () => {
+            this.isDrawing = false;
+        });
+
+        this.draw();
+    }
+
+    /**
+     * Replaces the table being edited.
+     * @param {Array<number>} table - WAVETABLE_LENGTH samples, 0-WAVETABLE_MAX_VALUE.
+     */
+    setTable(table) {
+        if (!Array.isArray(table) || table.length !== WAVETABLE_LENGTH) {
+            console.warn("WavetableEditor.setTable: Invalid table, keeping the current one.");
+            return;
+        }
+        this.table = table.map(value => Math.max(0, Math.min(WAVETABLE_MAX_VALUE, Math.round(value) || 0)));
+        this.draw();
+    }
+
+    /**
+     * Loads one of the preset shapes.
+     * @param {string} presetName - A key of WAVETABLE_PRESETS.
+     */
+    applyPreset(presetName) {
+        if (!WAVETABLE_PRESETS[presetName]) {
+            console.warn(`WavetableEditor.applyPreset: Unknown preset "${presetName}".`);
+            return;
+        }
+        this.setTable(WAVETABLE_PRESETS[presetName]);
+    }
+
+    /**
+     * Returns a copy of the table being edited.
+     * @returns {Array<number>} WAVETABLE_LENGTH samples, 0-WAVETABLE_MAX_VALUE.
+     */
+    getTable() {
+        return this.table.slice();
+    }
+
+    /**
+     * Sets the sample under the mouse pointer, interpolating over any columns skipped since the last event.
+     * @param {MouseEvent} event - The mouse event.
+     */
+    _drawAt(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * this.canvas.width / rect.width;
+        const y = (event.clientY - rect.top) * this.canvas.height / rect.height;
+        const sampleIndex = Math.max(0, Math.min(WAVETABLE_LENGTH - 1, Math.floor(x / CELL_WIDTH)));
+        const value = Math.max(0, Math.min(WAVETABLE_MAX_VALUE, WAVETABLE_MAX_VALUE - Math.floor(y / CELL_HEIGHT)));
+
+        if (this.lastSampleIndex === -1 || this.lastSampleIndex === sampleIndex) {
+            this.table[sampleIndex] = value;
+        } else {
+            const fromIndex = this.lastSampleIndex;
+            const fromValue = this.table[fromIndex];
+            const step = sampleIndex > fromIndex ? 1 : -1;
+            for (let i = fromIndex + step; i !== sampleIndex + step; i += step) {
+                const progress = (i - fromIndex) / (sampleIndex - fromIndex);
+                this.table[i] = Math.round(fromValue + (value - fromValue) * progress);
+            }
+        }
+        this.lastSampleIndex = sampleIndex;
+        this.draw();
+    }
+
+    draw() {
+        if (!this.canvasCtx) return;
+        const ctx = this.canvasCtx;
+
+        ctx.fillStyle = 'rgb(20, 20, 30)';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Center line between levels 7 and 8
+        ctx.fillStyle = 'rgb(60, 60, 80)';
+        ctx.fillRect(0, this.canvas.height / 2, this.canvas.width, 1);
+
+        ctx.fillStyle = 'rgb(50, 200, 50)';
+        this.table.forEach((value, i) => {
+            const top = (WAVETABLE_MAX_VALUE - value) * CELL_HEIGHT;
+            ctx.fillRect(i * CELL_WIDTH, top, CELL_WIDTH - 1, CELL_HEIGHT);
+        });
+    }
+}
+
+export default WavetableEditor;
@@ -1 +1,114 @@
-// Placeholder content for file-io.js
+/**
+ * @file File input/output helpers for Thunderbird Chiptune Composer.
+ * Encodes rendered audio as WAV files and hands files to the browser for download.
+ */
+
+/**
+ * Writes an ASCII string into a DataView.
+ * @param {DataView} view - The target view.
+ * @param {number} offset - Byte offset to start writing at.
+ * @param {string} text - The string to write.
+ */
+function writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+}
+
+/**
+ * Encodes an AudioBuffer as a PCM WAV file.
+ * @param {AudioBuffer} audioBuffer - The rendered audio.
+ * @param {number} [bitDepth=16] - Bits per sample: 16 or 24 (integer PCM) or 32 (float).
+ * @returns {ArrayBuffer} The complete WAV file.
+ */
+export function encodeWav(audioBuffer, bitDepth = 16) {
+    if (!audioBuffer) throw new Error("An AudioBuffer is required for encodeWav.");
+    if (![16, 24, 32].includes(bitDepth)) throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+
+    const numChannels = audioBuffer.numberOfChannels;
+    const sampleRate = audioBuffer.sampleRate;
+    const numFrames = audioBuffer.length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+    const isFloat = bitDepth === 32;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    // RIFF header
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+
+    // fmt chunk
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true); // Chunk size
+    view.setUint16(20, isFloat ? 3 : 1, true); // 1 = integer PCM, 3 = IEEE float
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true); // Byte rate
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+
+    // data chunk, channels interleaved frame by frame
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channels = [];
+    for (let c = 0; c < numChannels; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+    }
+
+    let offset = 44;
+    for (let i = 0; i < numFrames; i++) {
+        for (let c = 0; c < numChannels; c++) {
+            const sample = Math.max(-1, Math.min(1, channels[c][i])); // Clip to full scale
+            if (isFloat) {
+                view.setFloat32(offset, sample, true);
+            } else if (bitDepth === 16) {
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            } else {
+                const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+                view.setUint8(offset, value & 0xFF);
+                view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                view.setUint8(offset + 2, (value >> 16) & 0xFF);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * Turns a project or track name into a safe file name (lowercase, underscores).
+ * @param {string} name - The name to convert.
+ * @param {string} [fallback='untitled'] - Used when nothing usable remains.
+ * @returns {string} The file name without extension.
+ */
+export function toFileName(name, fallback = 'untitled') {
+    const cleaned = String(name || '').trim().toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+    return cleaned || fallback;
+}
+
+/**
+ * Offers data to the user as a file download.
+ * @param {Blob|ArrayBuffer} data - The file contents.
+ * @param {string} fileName - The suggested file name.
+ * @param {string} [mimeType='application/octet-stream'] - MIME type used when data is an ArrayBuffer.
+ */
+export function downloadFile(data, fileName, mimeType = 'application/octet-stream') {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Revoke after the click has been handled so the download can start
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -1 +1,80 @@
-// Placeholder content for formatters.js
+/**
+ * @file Note parsing and formatting for Thunderbird Chiptune Composer.
+ * Pattern cells store notes as numbers: MIDI note numbers (C-4 = 60) for notes, and negative values for
+ * an empty cell, a note-off and a note-cut. This module is the one place that turns typed or saved note
+ * text into those numbers and back into the grid's 3-character display.
+ */
+
+export const EMPTY_NOTE = -1;
+export const NOTE_OFF = -2; // Starts the release phase of the note playing on the track
+export const NOTE_CUT = -3; // Silences the note playing on the track instantly
+
+/** Lowest and highest playable notes: C-0 to G-9, the range a single octave digit can show. */
+export const MIN_NOTE = 12;
+export const MAX_NOTE = 127;
+
+const NOTE_NAMES = ['C-', 'C#', 'D-', 'D#', 'E-', 'F-', 'F#', 'G-', 'G#', 'A-', 'A#', 'B-'];
+const LETTER_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Display text of the markers, and the other spellings accepted for them
+const MARKER_TEXT = { [EMPTY_NOTE]: '---', [NOTE_OFF]: '===', [NOTE_CUT]: '^^^' };
+const MARKER_ALIASES = { '': EMPTY_NOTE, '---': EMPTY_NOTE, '===': NOTE_OFF, 'OFF': NOTE_OFF, '^^^': NOTE_CUT, 'CUT': NOTE_CUT };
+
+/**
+ * Checks whether a cell note value is a playable note rather than a marker.
+ * @param {*} value - A cell note value.
+ * @returns {boolean} True for MIN_NOTE to MAX_NOTE.
+ */
+export function isPlayableNote(value) {
+    return Number.isInteger(value) && value >= MIN_NOTE && value <= MAX_NOTE;
+}
+
+/**
+ * Parses note text into a cell note value. Accepts tracker forms ("C-4", "C#4"), sharps and flats with or
+ * without a dash ("C#-4", "Db4", "Bb-3", also with "♯"/"♭"), and the markers "---", "===" (or "OFF")
+ * and "^^^" (or "CUT"). Letters may be in either case.
+ * @param {string} text - The note text.
+ * @returns {number|null} The note number or marker, or null if the text is not a note in range.
+ */
+export function parseNote(text) {
+    const trimmed = String(text === undefined || text === null ? '' : text).trim().replace('♯', '#').replace('♭', 'b');
+    const marker = MARKER_ALIASES[trimmed.toUpperCase()];
+    if (marker !== undefined) return marker;
+
+    // The flat sign is a lowercase "b" after the letter; an uppercase "B" is accepted too ("DB4", "BB3")
+    const match = trimmed.match(/^([A-Ga-g])(#|b|B)?-?([0-9])$/);
+    if (!match) return null;
+    const accidental = match[2] === '#' ? 1 : (match[2] ? -1 : 0);
+    const noteNumber = LETTER_SEMITONES[match[1].toUpperCase()] + accidental + (parseInt(match[3], 10) + 1) * 12;
+    return isPlayableNote(noteNumber) ? noteNumber : null;
+}
+
+/**
+ * Formats a cell note value for display: three characters, e.g. "C-4", "F#3", "---", "===" or "^^^".
+ * @param {number} value - A cell note value.
+ * @returns {string} The display text; values that are neither notes nor markers show as empty.
+ */
+export function formatNote(value) {
+    if (isPlayableNote(value)) {
+        return NOTE_NAMES[value % 12] + (Math.floor(value / 12) - 1);
+    }
+    return MARKER_TEXT[value] || MARKER_TEXT[EMPTY_NOTE];
+}
+
+/**
+ * Converts a note from a saved project to a cell note value. Projects saved before notes were numeric
+ * store note text such as "C-4", "F#3" or "===".
+ * @param {number|string} value - The saved note.
+ * @returns {number} The cell note value; anything unreadable becomes EMPTY_NOTE.
+ */
+export function migrateNote(value) {
+    if (typeof value === 'number') {
+        return (isPlayableNote(value) || MARKER_TEXT[value]) ? value : EMPTY_NOTE;
+    }
+    const parsed = parseNote(value);
+    if (parsed === null) {
+        console.warn(`migrateNote: Unreadable note "${value}" cleared.`);
+        return EMPTY_NOTE;
+    }
+    return parsed;
+}
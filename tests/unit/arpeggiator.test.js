@@ -0,0 +1,46 @@
+/**
+ * @file Tests for the instrument arpeggiator (src/audio/arpeggiator.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHORD_SHAPES, buildArpeggioSequence, parseSemitoneList, arpeggioOffsetAt } from '../../src/audio/arpeggiator.js';
+
+test('buildArpeggioSequence plays a chord shape up, down or up and back', () => {
+    assert.deepEqual(buildArpeggioSequence({ chord: 'major' }), [0, 4, 7]);
+    assert.deepEqual(buildArpeggioSequence({ chord: 'minor7', mode: 'down' }), [10, 7, 3, 0]);
+    assert.deepEqual(buildArpeggioSequence({ chord: 'major', mode: 'pingpong' }), [0, 4, 7, 4]);
+    assert.deepEqual(buildArpeggioSequence({ chord: 'major7', mode: 'pingpong' }), [0, 4, 7, 11, 7, 4]);
+    assert.deepEqual(buildArpeggioSequence({ chord: 'power', mode: 'pingpong' }), [0, 7], 'two notes have nothing to come back through');
+});
+
+test('buildArpeggioSequence does not change the chord shapes', () => {
+    buildArpeggioSequence({ chord: 'minor', mode: 'down' });
+    assert.deepEqual(CHORD_SHAPES.minor, [0, 3, 7]);
+});
+
+test('buildArpeggioSequence uses the custom semitones, or the note alone', () => {
+    assert.deepEqual(buildArpeggioSequence({ chord: 'custom', semitones: [0, 12, -12] }), [0, 12, -12]);
+    assert.deepEqual(buildArpeggioSequence({ chord: 'custom', semitones: [] }), [0]);
+    assert.deepEqual(buildArpeggioSequence({ chord: 'custom' }), [0]);
+    assert.deepEqual(buildArpeggioSequence({ chord: 'unknown' }), [0]);
+});
+
+test('arpeggioOffsetAt holds each step for rate ticks and wraps around', () => {
+    const sequence = [0, 4, 7];
+    assert.deepEqual([0, 1, 2, 3, 4, 5, 6, 7].map(tick => arpeggioOffsetAt(sequence, tick, 2)), [0, 0, 4, 4, 7, 7, 0, 0]);
+    assert.deepEqual([0, 1, 2, 3].map(tick => arpeggioOffsetAt(sequence, tick, 1)), [0, 4, 7, 0]);
+    assert.equal(arpeggioOffsetAt(sequence, 1, 0), 4, 'a rate below one counts as one');
+});
+
+test('parseSemitoneList reads offsets separated by spaces or commas', () => {
+    assert.deepEqual(parseSemitoneList('0 4 7'), [0, 4, 7]);
+    assert.deepEqual(parseSemitoneList(' 0,3, 7  12 '), [0, 3, 7, 12]);
+    assert.deepEqual(parseSemitoneList('-24 24'), [-24, 24]);
+});
+
+test('parseSemitoneList returns null for empty or out-of-range lists', () => {
+    for (const text of ['', '   ', 'a b', '0 25', '-25', undefined]) {
+        assert.equal(parseSemitoneList(text), null, String(text));
+    }
+});
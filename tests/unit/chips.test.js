@@ -0,0 +1,103 @@
+/**
+ * @file Tests for target chip profiles (src/audio/chips.js): volume levels, the instruments a chip
+ * channel plays, track counts and effect availability.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CHIP_PROFILES, getChipTrackCount, getChipChannel, isEffectAvailable, quantizeLevel, fitInstrumentToChannel,
+} from '../../src/audio/chips.js';
+import { EFFECT } from '../../src/audio/effect-commands.js';
+import Instrument from '../../src/audio/instruments.js';
+import { MAX_AUDIO_CHANNELS } from '../../src/constants.js';
+
+const WAVE_LEVELS = [0, 0.25, 0.5, 1];
+const SQUARE_LEAD = new Instrument({ id: '01', name: 'Lead', type: 'synth', waveform: 'square', effects: [{ type: 'delay' }] });
+const SAMPLE = new Instrument({ id: '02', type: 'sample', sampleUrl: 'kick.wav' });
+
+test('quantizeLevel rounds to the nearest level', () => {
+    assert.equal(quantizeLevel(WAVE_LEVELS, 0.3), 0.25);
+    assert.equal(quantizeLevel(WAVE_LEVELS, 0.45), 0.5);
+    assert.equal(quantizeLevel(WAVE_LEVELS, 0.8), 1);
+    assert.equal(quantizeLevel(WAVE_LEVELS, 1), 1);
+});
+
+test('quantizeLevel keeps silence silent and quiet notes audible', () => {
+    assert.equal(quantizeLevel(WAVE_LEVELS, 0), 0);
+    assert.equal(quantizeLevel(WAVE_LEVELS, -0.5), 0);
+    assert.equal(quantizeLevel(WAVE_LEVELS, 0.01), 0.25);
+    assert.equal(quantizeLevel([0, 1], 0.01), 1);
+});
+
+test('fitInstrumentToChannel plays anything on unrestricted tracks', () => {
+    assert.equal(fitInstrumentToChannel(SQUARE_LEAD, null), SQUARE_LEAD);
+    assert.equal(fitInstrumentToChannel(SAMPLE, getChipChannel(CHIP_PROFILES.unrestricted, 3)), SAMPLE);
+});
+
+test('fitInstrumentToChannel keeps instruments the channel can play', () => {
+    const [pulse, , , , dpcm] = CHIP_PROFILES.nes.channels;
+    const pulseLead = new Instrument({ id: '03', waveform: 'pulse', duty: 0.25 });
+    assert.equal(fitInstrumentToChannel(pulseLead, pulse), pulseLead);
+    assert.equal(fitInstrumentToChannel(SAMPLE, dpcm), SAMPLE);
+});
+
+test('fitInstrumentToChannel substitutes a close sound, or the channel\'s own', () => {
+    const [pulse, , triangle, noise] = CHIP_PROFILES.nes.channels;
+    assert.equal(fitInstrumentToChannel(SQUARE_LEAD, pulse).waveform, 'pulse');
+    assert.equal(fitInstrumentToChannel(new Instrument({ id: '04', waveform: 'sine' }), triangle).waveform, 'triangle');
+    assert.equal(fitInstrumentToChannel(SQUARE_LEAD, noise).waveform, 'noise');
+    assert.equal(SQUARE_LEAD.waveform, 'square', 'the instrument itself is not changed');
+
+    const wave = CHIP_PROFILES.gameboy.channels[2];
+    const fitted = fitInstrumentToChannel(SQUARE_LEAD, wave);
+    assert.equal(fitted.type, 'wavetable');
+    assert.equal(fitted.name, 'Lead');
+
+    const wavetable = fitInstrumentToChannel(new Instrument({ id: '05', type: 'wavetable' }), pulse);
+    assert.equal(wavetable.type, 'synth');
+    assert.equal(wavetable.waveform, 'pulse');
+});
+
+test('a fitted instrument is still an Instrument with the same id and effects', () => {
+    const fitted = fitInstrumentToChannel(SQUARE_LEAD, CHIP_PROFILES.nes.channels[0]);
+    assert.ok(fitted instanceof Instrument);
+    assert.notEqual(fitted, SQUARE_LEAD);
+    assert.equal(fitted.id, SQUARE_LEAD.id);
+    assert.deepEqual(fitted.effects, SQUARE_LEAD.effects);
+    assert.equal(fitted.toData().waveform, 'pulse');
+});
+
+test('fitInstrumentToChannel drops the noise layer and refuses non-samples on sample channels', () => {
+    const pulse = CHIP_PROFILES.nes.channels[0];
+    const drum = new Instrument({ id: '06', waveform: 'pulse', noiseMix: 0.5 });
+    const fitted = fitInstrumentToChannel(drum, pulse);
+    assert.equal(fitted.noiseMix, 0);
+    assert.equal(drum.noiseMix, 0.5);
+    assert.equal(fitInstrumentToChannel(SQUARE_LEAD, CHIP_PROFILES.nes.channels[4]), null);
+});
+
+test('a chip project has one track per channel', () => {
+    assert.equal(getChipTrackCount(CHIP_PROFILES.unrestricted), MAX_AUDIO_CHANNELS);
+    assert.equal(getChipTrackCount(CHIP_PROFILES.nes), 5);
+    assert.equal(getChipTrackCount(CHIP_PROFILES.sid), 3);
+    assert.equal(getChipChannel(CHIP_PROFILES.gameboy, 2).name, 'Wave');
+    assert.equal(getChipChannel(CHIP_PROFILES.gameboy, 7), null);
+    assert.equal(getChipChannel(CHIP_PROFILES.unrestricted, 0), null);
+});
+
+test('pulse width is available only on tracks whose channel plays a pulse wave', () => {
+    const trackAllows = (chip, trackIndex) => isEffectAvailable(getChipChannel(CHIP_PROFILES[chip], trackIndex), EFFECT.SET_DUTY);
+    assert.equal(trackAllows('unrestricted', 0), true);
+    assert.deepEqual([0, 1, 2, 3, 4].map(trackIndex => trackAllows('nes', trackIndex)), [true, true, false, false, false]);
+    assert.deepEqual([0, 1, 2, 3].map(trackIndex => trackAllows('gameboy', trackIndex)), [true, true, false, false]);
+    assert.deepEqual([0, 1, 2, 3].map(trackIndex => trackAllows('sn76489', trackIndex)), [false, false, false, false]);
+    assert.equal(trackAllows('sid', 2), true);
+});
+
+test('every other effect command is available on every channel', () => {
+    const channels = Object.values(CHIP_PROFILES).flatMap(profile => profile.channels || [null]);
+    for (const command of Object.values(EFFECT).filter(command => command !== EFFECT.SET_DUTY)) {
+        channels.forEach(channel => assert.equal(isEffectAvailable(channel, command), true, `${command} on ${channel && channel.name}`));
+    }
+});
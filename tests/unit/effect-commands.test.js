@@ -0,0 +1,67 @@
+/**
+ * @file Tests for parsing the Cmd, Val and volume columns of pattern cells (src/audio/effect-commands.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EFFECT, EXTENDED_EFFECT, MAX_CHANNEL_VOLUME, parseEffectCommand, parseVolumeColumn,
+} from '../../src/audio/effect-commands.js';
+
+test('parseEffectCommand splits the parameter into x and y nibbles', () => {
+    assert.deepEqual(parseEffectCommand('40', '37'), { command: EFFECT.VIBRATO, subCommand: 0, param: 0x37, x: 3, y: 7 });
+    assert.deepEqual(parseEffectCommand('A0', '0F'), { command: EFFECT.VOLUME_SLIDE, subCommand: 0, param: 0x0F, x: 0, y: 15 });
+    assert.equal(parseEffectCommand('10', 'FF').param, 0xFF);
+});
+
+test('parseEffectCommand accepts lower case, single digits and an empty Val column', () => {
+    assert.equal(parseEffectCommand('c0', '2a').param, 0x2A);
+    assert.equal(parseEffectCommand('3', '10').command, EFFECT.TONE_PORTAMENTO);
+    assert.equal(parseEffectCommand('C0', '8').param, 8);
+    assert.equal(parseEffectCommand(' A0 ', ' 01 ').param, 1);
+    assert.equal(parseEffectCommand('C0', '--').param, 0);
+    assert.equal(parseEffectCommand('C0', undefined).param, 0);
+});
+
+test('parseEffectCommand keeps the Ex sub-command and one parameter nibble', () => {
+    assert.deepEqual(parseEffectCommand('EC', '03'), { command: EFFECT.EXTENDED, subCommand: EXTENDED_EFFECT.NOTE_CUT, param: 3, x: EXTENDED_EFFECT.NOTE_CUT, y: 3 });
+    assert.equal(parseEffectCommand('ED', '1F').param, 0x0F);
+    assert.equal(parseEffectCommand('ED', '1F').subCommand, EXTENDED_EFFECT.NOTE_DELAY);
+});
+
+test('parseEffectCommand treats 00 00 as an empty column', () => {
+    assert.equal(parseEffectCommand('00', '00'), null);
+    assert.equal(parseEffectCommand('00', '--'), null);
+    assert.deepEqual(parseEffectCommand('00', '47'), { command: EFFECT.ARPEGGIO, subCommand: 0, param: 0x47, x: 4, y: 7 });
+});
+
+test('parseEffectCommand returns null for empty or malformed columns', () => {
+    for (const effectCmd of ['--', '', 'G0', '100', 'A-', null, undefined, 0xA0]) {
+        assert.equal(parseEffectCommand(effectCmd, '01'), null, String(effectCmd));
+    }
+    assert.equal(parseEffectCommand('C0', 'ZZ').param, 0, 'an unreadable Val column counts as zero');
+});
+
+test('parseVolumeColumn reads hex volumes from 00 to 40', () => {
+    assert.equal(parseVolumeColumn('00'), 0);
+    assert.equal(parseVolumeColumn('20'), 32);
+    assert.equal(parseVolumeColumn('3F'), 63);
+    assert.equal(parseVolumeColumn('3f'), 63);
+    assert.equal(parseVolumeColumn('40'), MAX_CHANNEL_VOLUME);
+    assert.equal(parseVolumeColumn('8'), 8);
+    assert.equal(parseVolumeColumn(' 10 '), 16);
+});
+
+test('parseVolumeColumn returns null for empty cells', () => {
+    assert.equal(parseVolumeColumn('--'), null);
+    assert.equal(parseVolumeColumn(''), null);
+    assert.equal(parseVolumeColumn(undefined), null);
+    assert.equal(parseVolumeColumn(null), null);
+});
+
+test('parseVolumeColumn returns null for volumes above 40 and text that is not hex', () => {
+    for (const volume of ['41', 'FF', '100', 'G0', '-1', '1.5', 'v20']) {
+        assert.equal(parseVolumeColumn(volume), null, `"${volume}"`);
+    }
+    assert.equal(parseVolumeColumn(32), null);
+});
@@ -0,0 +1,98 @@
+/**
+ * @file Tests for WAV encoding and file names (src/utils/file-io.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWav, toFileName } from '../../src/utils/file-io.js';
+
+/**
+ * Builds an object with the AudioBuffer members encodeWav() reads.
+ * @param {Array<Array<number>>} channels - Samples per channel.
+ * @param {number} [sampleRate=44100] - The sample rate.
+ * @returns {object} The buffer.
+ */
+function audioBuffer(channels, sampleRate = 44100) {
+    const data = channels.map(samples => Float32Array.from(samples));
+    return {
+        numberOfChannels: data.length,
+        sampleRate,
+        length: data[0].length,
+        getChannelData: channel => data[channel],
+    };
+}
+
+/**
+ * Reads an ASCII string from a DataView.
+ * @param {DataView} view - The view.
+ * @param {number} offset - Byte offset.
+ * @param {number} length - Number of characters.
+ * @returns {string}
+ */
+function readString(view, offset, length) {
+    return String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+}
+
+/**
+ * Reads a little-endian signed 24-bit integer.
+ * @param {DataView} view - The view.
+ * @param {number} offset - Byte offset.
+ * @returns {number}
+ */
+function readInt24(view, offset) {
+    const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+    return value & 0x800000 ? value - 0x1000000 : value;
+}
+
+test('encodeWav writes the RIFF, fmt and data headers', () => {
+    const view = new DataView(encodeWav(audioBuffer([[0, 0, 0], [0, 0, 0]], 48000)));
+    assert.equal(view.byteLength, 44 + 3 * 2 * 2);
+    assert.equal(readString(view, 0, 4), 'RIFF');
+    assert.equal(view.getUint32(4, true), view.byteLength - 8);
+    assert.equal(readString(view, 8, 4), 'WAVE');
+    assert.equal(readString(view, 12, 4), 'fmt ');
+    assert.equal(view.getUint32(16, true), 16);
+    assert.equal(view.getUint16(20, true), 1); // Integer PCM
+    assert.equal(view.getUint16(22, true), 2);
+    assert.equal(view.getUint32(24, true), 48000);
+    assert.equal(view.getUint32(28, true), 48000 * 4);
+    assert.equal(view.getUint16(32, true), 4);
+    assert.equal(view.getUint16(34, true), 16);
+    assert.equal(readString(view, 36, 4), 'data');
+    assert.equal(view.getUint32(40, true), 12);
+});
+
+test('encodeWav interleaves channels and clips 16-bit samples to full scale', () => {
+    const view = new DataView(encodeWav(audioBuffer([[1, -1, 2], [0.5, -0.5, -3]])));
+    const samples = Array.from({ length: 6 }, (_, i) => view.getInt16(44 + i * 2, true));
+    assert.deepEqual(samples, [32767, 16383, -32768, -16384, 32767, -32768]);
+});
+
+test('encodeWav writes 24-bit integer samples', () => {
+    const view = new DataView(encodeWav(audioBuffer([[1, -1, 0.25]]), 24));
+    assert.equal(view.getUint16(20, true), 1);
+    assert.equal(view.getUint16(32, true), 3);
+    assert.equal(view.getUint16(34, true), 24);
+    assert.equal(view.getUint32(40, true), 9);
+    assert.deepEqual([0, 1, 2].map(i => readInt24(view, 44 + i * 3)), [0x7FFFFF, -0x800000, Math.round(0.25 * 0x7FFFFF)]);
+});
+
+test('encodeWav writes 32-bit float samples', () => {
+    const view = new DataView(encodeWav(audioBuffer([[0.5, -2]]), 32));
+    assert.equal(view.getUint16(20, true), 3); // IEEE float
+    assert.equal(view.getUint16(34, true), 32);
+    assert.equal(view.getFloat32(44, true), 0.5);
+    assert.equal(view.getFloat32(48, true), -1);
+});
+
+test('encodeWav rejects a missing buffer and unsupported bit depths', () => {
+    assert.throws(() => encodeWav(null), /AudioBuffer is required/);
+    assert.throws(() => encodeWav(audioBuffer([[0]]), 8), /Unsupported WAV bit depth/);
+});
+
+test('toFileName keeps lowercase letters, digits and underscores', () => {
+    assert.equal(toFileName('My Song #2!'), 'my_song_2');
+    assert.equal(toFileName('  --Lead--  '), 'lead');
+    assert.equal(toFileName('***'), 'untitled');
+    assert.equal(toFileName(undefined, 'track'), 'track');
+});
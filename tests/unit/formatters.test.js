@@ -0,0 +1,123 @@
+/**
+ * @file Tests for note parsing and formatting (src/utils/formatters.js) and the migration of
+ * text notes in saved songs (src/song.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EMPTY_NOTE, NOTE_OFF, NOTE_CUT, MIN_NOTE, MAX_NOTE,
+    isPlayableNote, parseNote, formatNote, migrateNote,
+} from '../../src/utils/formatters.js';
+import Song from '../../src/song.js';
+
+test('parseNote accepts tracker, sharp and flat forms in any case', () => {
+    assert.equal(parseNote('C-4'), 60);
+    assert.equal(parseNote('C#4'), 61);
+    assert.equal(parseNote('C#-4'), 61);
+    assert.equal(parseNote('Db4'), 61);
+    assert.equal(parseNote('DB4'), 61);
+    assert.equal(parseNote('db-4'), 61);
+    assert.equal(parseNote('Bb-3'), 58);
+    assert.equal(parseNote('A♯3'), 58);
+    assert.equal(parseNote('B♭3'), 58);
+    assert.equal(parseNote('c4'), 60);
+    assert.equal(parseNote(' A-4 '), 69);
+});
+
+test('parseNote accepts the empty, note-off and note-cut markers', () => {
+    assert.equal(parseNote(''), EMPTY_NOTE);
+    assert.equal(parseNote('---'), EMPTY_NOTE);
+    assert.equal(parseNote('==='), NOTE_OFF);
+    assert.equal(parseNote('OFF'), NOTE_OFF);
+    assert.equal(parseNote('off'), NOTE_OFF);
+    assert.equal(parseNote('^^^'), NOTE_CUT);
+    assert.equal(parseNote('CUT'), NOTE_CUT);
+});
+
+test('parseNote accepts C-0 to G-9 and rejects notes outside that range', () => {
+    assert.equal(parseNote('C-0'), MIN_NOTE);
+    assert.equal(parseNote('G-9'), MAX_NOTE);
+    assert.equal(parseNote('Cb0'), null);
+    assert.equal(parseNote('G#9'), null);
+    assert.equal(parseNote('C-10'), null);
+});
+
+test('parseNote returns null for text that is not a note', () => {
+    for (const text of ['H-4', 'C', 'C-', '4', 'C##4', 'C-4x', 'note', '--']) {
+        assert.equal(parseNote(text), null, `"${text}"`);
+    }
+});
+
+test('formatNote shows three characters with sharps', () => {
+    assert.equal(formatNote(60), 'C-4');
+    assert.equal(formatNote(61), 'C#4');
+    assert.equal(formatNote(58), 'A#3');
+    assert.equal(formatNote(MIN_NOTE), 'C-0');
+    assert.equal(formatNote(MAX_NOTE), 'G-9');
+    assert.equal(formatNote(EMPTY_NOTE), '---');
+    assert.equal(formatNote(NOTE_OFF), '===');
+    assert.equal(formatNote(NOTE_CUT), '^^^');
+    assert.equal(formatNote(999), '---');
+    assert.equal(formatNote(undefined), '---');
+});
+
+test('formatNote and parseNote round-trip every playable note', () => {
+    for (let note = MIN_NOTE; note <= MAX_NOTE; note++) {
+        assert.equal(parseNote(formatNote(note)), note);
+    }
+});
+
+test('isPlayableNote is false for markers and out-of-range values', () => {
+    assert.equal(isPlayableNote(60), true);
+    assert.equal(isPlayableNote(EMPTY_NOTE), false);
+    assert.equal(isPlayableNote(NOTE_OFF), false);
+    assert.equal(isPlayableNote(MIN_NOTE - 1), false);
+    assert.equal(isPlayableNote(MAX_NOTE + 1), false);
+    assert.equal(isPlayableNote('C-4'), false);
+});
+
+test('migrateNote converts text notes and keeps numeric ones', () => {
+    assert.equal(migrateNote('C-4'), 60);
+    assert.equal(migrateNote('F#3'), 54);
+    assert.equal(migrateNote('---'), EMPTY_NOTE);
+    assert.equal(migrateNote('==='), NOTE_OFF);
+    assert.equal(migrateNote('^^^'), NOTE_CUT);
+    assert.equal(migrateNote(60), 60);
+    assert.equal(migrateNote(NOTE_OFF), NOTE_OFF);
+});
+
+test('migrateNote clears unreadable notes', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal(migrateNote('zz'), EMPTY_NOTE);
+        assert.equal(migrateNote(undefined), EMPTY_NOTE);
+        assert.equal(migrateNote(-7), EMPTY_NOTE);
+        assert.equal(migrateNote(200), EMPTY_NOTE);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('Song.fromData migrates text notes and fills missing cell fields', () => {
+    const song = Song.fromData({
+        numTracks: 2,
+        patternRows: 2,
+        patterns: { 0: [
+            [{ note: 'C-4', instrument: '01', effectCmd: '--', effectVal: '--' }, { note: 62 }],
+            [{ note: '===' }, { note: '---', instrument: '02' }],
+        ] },
+        orderList: [0],
+    });
+    const pattern = song.getPattern(0);
+    assert.deepEqual(pattern.map(row => row.map(cell => cell.note)), [[60, 62], [NOTE_OFF, EMPTY_NOTE]]);
+    assert.equal(pattern[1][1].instrument, '02');
+    assert.equal(pattern[0][1].instrument, '--');
+    assert.equal(pattern[0][1].effectCmd, '--');
+});
+
+test('Song.fromPatternData migrates a pre-song pattern', () => {
+    const song = Song.fromPatternData([[{ note: 'A-4' }], [{ note: '^^^' }]]);
+    assert.deepEqual(song.getPattern(0).map(row => row[0].note), [69, NOTE_CUT]);
+});
@@ -0,0 +1,55 @@
+/**
+ * @file Tests for checking values entered in the hex columns of the tracker grid (src/ui/grid.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeHexValue } from '../../src/ui/grid.js';
+import { createEmptyCell } from '../../src/song.js';
+
+const EMPTY_CELL = createEmptyCell();
+
+test('normalizeHexValue stores two uppercase digits and empties blank values', () => {
+    assert.equal(normalizeHexValue('instrument', ' 0a ', EMPTY_CELL), '0A');
+    assert.equal(normalizeHexValue('volume', '8', EMPTY_CELL), '08', 'a single digit is the low nibble');
+    assert.equal(normalizeHexValue('effectCmd', 'a', EMPTY_CELL), 'A0', 'a single Cmd digit is the command');
+    for (const column of ['instrument', 'volume', 'effectCmd', 'effectVal']) {
+        assert.equal(normalizeHexValue(column, '', EMPTY_CELL), '--');
+        assert.equal(normalizeHexValue(column, '--', EMPTY_CELL), '--');
+    }
+});
+
+test('normalizeHexValue rejects text that is not one or two hex digits', () => {
+    for (const text of ['G', '1G', '100', '-1', 'x']) {
+        assert.equal(normalizeHexValue('effectVal', text, EMPTY_CELL), null, `"${text}"`);
+    }
+});
+
+test('normalizeHexValue accepts only loaded instruments, when they are known', () => {
+    assert.equal(normalizeHexValue('instrument', '7F', EMPTY_CELL), '7F');
+    assert.equal(normalizeHexValue('instrument', '02', EMPTY_CELL, ['01', '02']), '02');
+    assert.equal(normalizeHexValue('instrument', '03', EMPTY_CELL, ['01', '02']), null);
+});
+
+test('normalizeHexValue accepts volumes from 00 to 40', () => {
+    assert.equal(normalizeHexValue('volume', '00', EMPTY_CELL), '00');
+    assert.equal(normalizeHexValue('volume', '40', EMPTY_CELL), '40');
+    assert.equal(normalizeHexValue('volume', '41', EMPTY_CELL), null);
+});
+
+test('normalizeHexValue accepts only commands that exist', () => {
+    for (const command of ['00', '30', '90', 'C0', 'E5', 'EC', 'ED', 'F0']) {
+        assert.equal(normalizeHexValue('effectCmd', command, EMPTY_CELL), command);
+    }
+    for (const command of ['50', 'B0', 'A1', 'E0', 'EF']) {
+        assert.equal(normalizeHexValue('effectCmd', command, EMPTY_CELL), null, command);
+    }
+});
+
+test('normalizeHexValue limits Val to 0F for extended commands', () => {
+    const noteCut = { ...EMPTY_CELL, effectCmd: 'EC' };
+    assert.equal(normalizeHexValue('effectVal', '0F', noteCut), '0F');
+    assert.equal(normalizeHexValue('effectVal', '10', noteCut), null);
+    assert.equal(normalizeHexValue('effectVal', 'FF', { ...EMPTY_CELL, effectCmd: 'F0' }), 'FF');
+    assert.equal(normalizeHexValue('effectVal', 'FF', EMPTY_CELL), 'FF', 'a Val without a command is kept');
+});
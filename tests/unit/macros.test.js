@@ -0,0 +1,67 @@
+/**
+ * @file Tests for instrument macro sequences (src/audio/macros.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_MACRO_LENGTH, MacroPlayer, normalizeMacro } from '../../src/audio/macros.js';
+
+/**
+ * Plays a volume macro for a number of ticks.
+ * @param {object} macro - The volume macro.
+ * @param {number} heldTicks - Ticks before the note-off.
+ * @param {number} [releasedTicks=0] - Ticks after the note-off.
+ * @returns {Array<number>} The volume of each tick.
+ */
+function playVolume(macro, heldTicks, releasedTicks = 0) {
+    const player = new MacroPlayer({ volume: macro });
+    const volumes = [];
+    for (let tick = 0; tick < heldTicks + releasedTicks; tick++) {
+        volumes.push(player.tick(tick >= heldTicks).volume);
+    }
+    return volumes;
+}
+
+test('normalizeMacro clamps values and drops points outside the sequence', () => {
+    assert.deepEqual(normalizeMacro('volume', { values: [20, -3, 7.6, 'x'], loop: 1, release: 9 }),
+        { values: [15, 0, 8, 0], loop: 1, release: -1 });
+    assert.deepEqual(normalizeMacro('arpeggio', { values: [-13, 13], loop: 1.5, release: -4 }),
+        { values: [-12, 12], loop: -1, release: -1 });
+    assert.equal(normalizeMacro('pitch', { values: new Array(100).fill(1) }).values.length, MAX_MACRO_LENGTH);
+    assert.deepEqual(normalizeMacro('duty', undefined), { values: [], loop: -1, release: -1 });
+});
+
+test('a macro without a loop holds its last value', () => {
+    assert.deepEqual(playVolume({ values: [15, 10, 5] }, 5), [15, 10, 5, 5, 5]);
+});
+
+test('a macro jumps back to its loop point after the last value', () => {
+    assert.deepEqual(playVolume({ values: [15, 10, 5], loop: 1 }, 7), [15, 10, 5, 10, 5, 10, 5]);
+});
+
+test('a held note waits on the release point, then plays on after the note-off', () => {
+    assert.deepEqual(playVolume({ values: [15, 12, 6, 0], release: 1 }, 4, 4), [15, 12, 12, 12, 6, 0, 0, 0]);
+});
+
+test('a loop before the release point repeats while the note is held, and not after the note-off', () => {
+    assert.deepEqual(playVolume({ values: [1, 2, 3, 4, 5], loop: 0, release: 2 }, 7, 4), [1, 2, 3, 1, 2, 3, 1, 4, 5, 5, 5]);
+});
+
+test('a loop after the release point repeats once the note is released', () => {
+    assert.deepEqual(playVolume({ values: [1, 2, 3, 4, 5], loop: 3, release: 1 }, 3, 6), [1, 2, 2, 3, 4, 5, 4, 5, 4]);
+});
+
+test('the pitch macro accumulates and adds to the arpeggio macro', () => {
+    const player = new MacroPlayer({ arpeggio: { values: [0, 12], loop: 0 }, pitch: { values: [4] } });
+    assert.equal(player.hasPitch, true);
+    assert.deepEqual([0, 1, 2, 3].map(() => player.tick(false).pitchOffset), [0.25, 12.5, 0.75, 13]);
+});
+
+test('only the macros an instrument has report values', () => {
+    const player = new MacroPlayer({ duty: { values: [0, 3] }, volume: { values: [] } });
+    assert.equal(player.isEmpty, false);
+    assert.equal(player.hasPitch, false);
+    assert.deepEqual(player.tick(false), { volume: undefined, duty: 0, pitchOffset: 0 });
+    assert.deepEqual(player.tick(false), { volume: undefined, duty: 3, pitchOffset: 0 });
+    assert.equal(new MacroPlayer({}).isEmpty, true);
+});
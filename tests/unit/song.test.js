@@ -0,0 +1,123 @@
+/**
+ * @file Tests for the song model (src/song.js): patterns, the order list and saving.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Song, { DEFAULT_PATTERN_ROWS, DEFAULT_SONG_TRACKS, MAX_PATTERNS, createEmptyCell } from '../../src/song.js';
+
+/**
+ * Runs a function with console.warn silenced, for calls that are expected to warn.
+ * @param {function} callback - The function to run.
+ * @returns {*} What the function returns.
+ */
+function withoutWarnings(callback) {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return callback();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+test('a new song has one empty pattern in its order list', () => {
+    const song = new Song();
+    assert.equal(song.numTracks, DEFAULT_SONG_TRACKS);
+    assert.deepEqual(song.orderList, [0]);
+    assert.equal(song.getPatternLength(0), DEFAULT_PATTERN_ROWS);
+    assert.deepEqual(song.getPattern(0)[0][0], createEmptyCell());
+});
+
+test('getPattern creates patterns on first use and rejects invalid numbers', () => {
+    const song = new Song(2, 8);
+    assert.equal(song.getFreePatternIndex(), 1);
+    assert.equal(song.getPattern(5).length, 8);
+    assert.equal(song.getPattern(5)[0].length, 2);
+    assert.equal(song.getFreePatternIndex(), 1);
+    withoutWarnings(() => {
+        for (const patternIndex of [-1, MAX_PATTERNS, 1.5, NaN, '3']) {
+            assert.equal(song.getPattern(patternIndex), null, String(patternIndex));
+        }
+    });
+});
+
+test('setPattern rejects the same numbers as getPattern', () => {
+    const song = new Song(1, 2);
+    const rows = [[createEmptyCell()]];
+    withoutWarnings(() => {
+        for (const patternIndex of [-1, MAX_PATTERNS, 1.5, NaN]) {
+            song.setPattern(patternIndex, rows);
+        }
+        song.setPattern(1, 'not rows');
+    });
+    assert.equal(Object.keys(song.patterns).length, 1);
+    song.setPattern(3, rows);
+    assert.equal(song.getPattern(3), rows);
+});
+
+test('clonePattern copies a pattern into the first free number', () => {
+    const song = new Song(1, 2);
+    song.getPattern(0)[1][0].instrument = '01';
+    const copyIndex = song.clonePattern(0);
+    assert.equal(copyIndex, 1);
+    assert.deepEqual(song.getPattern(1), song.getPattern(0));
+    song.getPattern(1)[1][0].instrument = '02';
+    assert.equal(song.getPattern(0)[1][0].instrument, '01');
+});
+
+test('the order list can be edited but never emptied', () => {
+    const song = new Song(1, 2);
+    song.insertOrder(1, 3);
+    song.insertOrder(0, 2);
+    song.insertOrder(99, 1);
+    assert.deepEqual(song.orderList, [2, 0, 3, 1]);
+    song.setOrder(1, 4);
+    assert.equal(song.getPatternIndexAtOrder(1), 4);
+    assert.equal(song.getPatternIndexAtOrder(4), -1);
+    assert.equal(song.getPatternIndexAtOrder(-1), -1);
+
+    withoutWarnings(() => song.setOrder(9, 0));
+    withoutWarnings(() => song.setOrder(0, MAX_PATTERNS));
+    song.insertOrder(0, -1);
+    assert.deepEqual(song.orderList, [2, 4, 3, 1]);
+
+    song.removeOrder(0);
+    song.removeOrder(9);
+    assert.deepEqual(song.orderList, [4, 3, 1]);
+    song.removeOrder(0);
+    song.removeOrder(0);
+    song.removeOrder(0);
+    assert.deepEqual(song.orderList, [1]);
+});
+
+test('fromData restores what toData saved', () => {
+    const song = new Song(3, 4);
+    song.getPattern(2)[3][1].instrument = '07';
+    song.orderList = [0, 2, 2];
+    const copy = Song.fromData(JSON.parse(JSON.stringify(song.toData())));
+    assert.equal(copy.numTracks, 3);
+    assert.equal(copy.patternRows, 4);
+    assert.deepEqual(copy.orderList, [0, 2, 2]);
+    assert.equal(copy.getPattern(2)[3][1].instrument, '07');
+    assert.equal(copy.getFreePatternIndex(), 1);
+});
+
+test('fromData drops patterns and order list entries that are not pattern numbers', () => {
+    const rows = [[createEmptyCell()]];
+    const song = withoutWarnings(() => Song.fromData({
+        numTracks: 1,
+        patternRows: 1,
+        patterns: { 0: rows, 1: rows, abc: rows, '-1': rows, 256: rows, 1.5: rows },
+        orderList: [1, 256, -1, 1.5, 'x', null, 0],
+    }));
+    assert.deepEqual(song.orderList, [1, 0]);
+    assert.deepEqual(Object.keys(song.patterns), ['0', '1']);
+    assert.equal(song.patterns.NaN, undefined);
+});
+
+test('fromData keeps the default order list when none of the entries are valid', () => {
+    const song = withoutWarnings(() => Song.fromData({ numTracks: 1, patternRows: 1, patterns: {}, orderList: [300, -2] }));
+    assert.deepEqual(song.orderList, [0]);
+    assert.equal(song.getPatternLength(0), 1);
+});
@@ -0,0 +1,94 @@
+/**
+ * @file Tests for the speed and rows-per-beat timing model of the sequencer (src/audio/engine.js).
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import audioEngine from '../../src/audio/engine.js';
+import { EMPTY_NOTE } from '../../src/utils/formatters.js';
+
+/**
+ * Runs a function with console.log and console.warn silenced; the engine logs every setting change.
+ * @param {function} callback - The function to run.
+ */
+function quietly(callback) {
+    const { log, warn } = console;
+    console.log = console.warn = () => {};
+    try {
+        callback();
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+}
+
+/**
+ * Asserts that two durations match to within a microsecond.
+ * @param {number} actual - The duration produced, in seconds.
+ * @param {number} expected - The expected duration, in seconds.
+ */
+function assertDuration(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+}
+
+/**
+ * Builds a row of cells with the given Cmd and Val columns.
+ * @param {...Array<string>} effects - [effectCmd, effectVal] per track.
+ * @returns {Array<object>} The row.
+ */
+function row(...effects) {
+    return effects.map(([effectCmd, effectVal]) => ({ note: EMPTY_NOTE, instrument: '--', effectCmd, effectVal }));
+}
+
+beforeEach(() => quietly(() => {
+    audioEngine.setBPM(120);
+    audioEngine.setSpeed(6);
+    audioEngine.setRowsPerBeat(4);
+}));
+
+test('at the reference speed, rows per beat sets the row length', () => {
+    assertDuration(audioEngine.calculateStepDuration(), 0.125); // 16th notes at 120 BPM
+    assertDuration(audioEngine.calculateTickDuration(), 0.125 / 6);
+    quietly(() => audioEngine.setRowsPerBeat(2));
+    assertDuration(audioEngine.calculateStepDuration(), 0.25);
+    quietly(() => audioEngine.setBPM(60));
+    assertDuration(audioEngine.calculateStepDuration(), 0.5);
+});
+
+test('the speed changes the ticks per row, not the tick length', () => {
+    quietly(() => audioEngine.setSpeed(3));
+    assertDuration(audioEngine.calculateTickDuration(), 0.125 / 6);
+    assertDuration(audioEngine.calculateStepDuration(), 0.0625);
+    quietly(() => audioEngine.setSpeed(12));
+    assertDuration(audioEngine.calculateStepDuration(), 0.25);
+});
+
+test('invalid speeds and rows per beat are ignored', () => {
+    quietly(() => {
+        audioEngine.setSpeed(0);
+        audioEngine.setSpeed(32);
+        audioEngine.setSpeed(2.5);
+        audioEngine.setRowsPerBeat(0);
+        audioEngine.setRowsPerBeat(1.5);
+    });
+    assert.equal(audioEngine.speed, 6);
+    assert.equal(audioEngine.rowsPerBeat, 4);
+});
+
+test('Fxx sets the speed below 20 and the tempo from 20 up', () => {
+    audioEngine.applyTimingCommands(row(['F0', '03'], ['--', '--'], ['F0', '96']));
+    assert.equal(audioEngine.playbackSpeed, 3);
+    assert.equal(audioEngine.playbackBpm, 150);
+    assertDuration(audioEngine.calculateTickDuration(), 60 / (150 * 4 * 6));
+    assertDuration(audioEngine.calculateStepDuration(), 3 * 60 / (150 * 4 * 6));
+    assert.equal(audioEngine.speed, 6, 'the project speed is kept');
+    assert.equal(audioEngine.bpm, 120, 'the project tempo is kept');
+
+    audioEngine.applyTimingCommands(row(['F0', '00'], ['F0', '1F']));
+    assert.equal(audioEngine.playbackSpeed, 31, 'F00 is ignored');
+    audioEngine.applyTimingCommands(row(['F0', '20']));
+    assert.equal(audioEngine.playbackBpm, 32);
+
+    audioEngine.resetPlaybackTiming();
+    assert.equal(audioEngine.playbackSpeed, 6);
+    assert.equal(audioEngine.playbackBpm, 120);
+});
@@ -0,0 +1,95 @@
+/**
+ * @file Tests for tuning systems and Scala scale parsing (src/audio/tuning.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Tuning, { REFERENCE_NOTE, STANDARD_TUNING, parseScala } from '../../src/audio/tuning.js';
+
+const QUARTER_TONES = `! quarter.scl
+!
+24-tone equal temperament
+ 24
+!
+${Array.from({ length: 23 }, (_, i) => `${((i + 1) * 50).toFixed(1)}`).join('\n')}
+ 2/1
+`;
+
+/**
+ * Asserts that two frequencies match to within a thousandth of a hertz.
+ * @param {number} actual - The frequency produced.
+ * @param {number} expected - The expected frequency.
+ */
+function assertFrequency(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-3, `${actual} != ${expected}`);
+}
+
+test('parseScala reads cents, ratios and the period', () => {
+    const scale = parseScala('! comment\nPythagorean fifths\n3\n200.0\n3/2 the fifth\n2\n');
+    assert.equal(scale.description, 'Pythagorean fifths');
+    assert.equal(scale.cents.length, 3);
+    assert.equal(scale.cents[0], 0);
+    assert.equal(scale.cents[1], 200);
+    assert.ok(Math.abs(scale.cents[2] - 701.955) < 1e-3);
+    assert.equal(scale.period, 1200);
+});
+
+test('parseScala returns null for invalid scales', () => {
+    assert.equal(parseScala(''), null);
+    assert.equal(parseScala('Too short\n3\n100.0\n2/1\n'), null);
+    assert.equal(parseScala('Bad count\nmany\n100.0\n'), null);
+    assert.equal(parseScala('Bad pitch\n2\nabc\n2/1\n'), null);
+    assert.equal(parseScala('Zero period\n1\n0.0\n'), null);
+    assert.equal(parseScala('Negative ratio\n1\n-2/1\n'), null);
+});
+
+test('standard tuning plays A-4 at 440 Hz in equal temperament', () => {
+    assertFrequency(STANDARD_TUNING.frequencyOf(REFERENCE_NOTE), 440);
+    assertFrequency(STANDARD_TUNING.frequencyOf(60), 440 * Math.pow(2, -9 / 12));
+    assertFrequency(STANDARD_TUNING.frequencyOf(81), 880);
+    assertFrequency(STANDARD_TUNING.frequencyOf(REFERENCE_NOTE, 100), 440 * Math.pow(2, 1 / 12));
+});
+
+test('the reference pitch moves every note', () => {
+    const tuning = new Tuning({ referencePitch: 432 });
+    assertFrequency(tuning.frequencyOf(REFERENCE_NOTE), 432);
+    assertFrequency(tuning.frequencyOf(57), 216);
+});
+
+test('just intonation tunes the scale from its tonic with pure ratios', () => {
+    const tuning = new Tuning({ temperament: 'just' });
+    const tonic = tuning.frequencyOf(60);
+    assertFrequency(tonic, 264); // A-4 = 440 is the major sixth, 5/3 above C-4
+    assertFrequency(tuning.frequencyOf(64), tonic * 5 / 4);
+    assertFrequency(tuning.frequencyOf(67), tonic * 3 / 2);
+    assertFrequency(tuning.frequencyOf(72), tonic * 2);
+    assertFrequency(tuning.intervalRatio(60, 7), 3 / 2);
+});
+
+test('a custom Scala scale maps one note number to each scale degree', () => {
+    const tuning = new Tuning({ temperament: 'custom', scala: QUARTER_TONES });
+    assertFrequency(tuning.frequencyOf(REFERENCE_NOTE), 440);
+    assertFrequency(tuning.frequencyOf(REFERENCE_NOTE + 1), 440 * Math.pow(2, 1 / 24));
+    assertFrequency(tuning.frequencyOf(REFERENCE_NOTE + 24), 880);
+});
+
+test('invalid settings fall back to standard tuning', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const tuning = new Tuning({ referencePitch: -1, temperament: 'custom', scala: 'nonsense', tonic: 15 });
+        assert.equal(tuning.referencePitch, 440);
+        assert.equal(tuning.tonic, 0);
+        assertFrequency(tuning.frequencyOf(60), STANDARD_TUNING.frequencyOf(60));
+        assert.equal(new Tuning({ temperament: 'unknown' }).temperament, 'equal');
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('toData restores the same tuning', () => {
+    const tuning = new Tuning({ referencePitch: 415, temperament: 'just', tonic: 2 });
+    const copy = new Tuning(tuning.toData());
+    assert.deepEqual(copy.toData(), tuning.toData());
+    assertFrequency(copy.frequencyOf(66), tuning.frequencyOf(66));
+});